@@ -0,0 +1,168 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseArgs,
+  getOutputMode,
+  withoutOutputFlags,
+  validatePreset,
+} from "../cliOptions";
+import { BUILT_IN_PRESETS } from "../presets";
+
+describe("cliOptions", () => {
+  describe("parseArgs", () => {
+    it("reads the project name, value flags and boolean flags", () => {
+      const options = parseArgs([
+        "my-api",
+        "--lang",
+        "ts",
+        "--pm=pnpm",
+        "--save-preset",
+        "team-api",
+        "--skip-install",
+        "-y",
+      ]);
+
+      expect(options).toMatchObject({
+        projectName: "my-api",
+        language: "ts",
+        pm: "pnpm",
+        savePreset: "team-api",
+        skipInstall: true,
+        yes: true,
+        dryRun: false,
+      });
+    });
+
+    it("collects module flags by module name", () => {
+      const { modules } = parseArgs([
+        "--auth",
+        "--no-swagger",
+        "--payments",
+        "stripe",
+      ]);
+
+      expect(modules).toEqual({
+        auth: true,
+        swagger: false,
+        payments: "stripe",
+      });
+    });
+
+    it("only takes a module flag's value when it is one of the choices", () => {
+      const options = parseArgs(["--payments", "my-api"]);
+
+      expect(options.modules).toEqual({ payments: true });
+      expect(options.projectName).toBe("my-api");
+    });
+
+    it("reads the --no- form of yes/no flags", () => {
+      expect(parseArgs(["--no-docker", "--env-files"])).toMatchObject({
+        docker: false,
+        envFiles: true,
+      });
+    });
+
+    it("leaves what isn't given as null", () => {
+      expect(parseArgs([])).toMatchObject({
+        projectName: null,
+        language: null,
+        preset: null,
+        savePreset: null,
+        docker: null,
+        modules: {},
+      });
+    });
+
+    it.each([
+      [["a", "b"], 'Unexpected argument "b"'],
+      [["--bogus"], "Unknown option --bogus"],
+      [["--preset"], "--preset requires a value"],
+      [["--template", "--yes"], "--template requires a value"],
+      [["--lang", "go"], '--lang must be one of ts, js (got "go")'],
+      [["--pm", "pip"], "--pm must be one of"],
+    ])("rejects %j", (args, message) => {
+      expect(() => parseArgs(args)).toThrow(message);
+    });
+  });
+
+  describe("getOutputMode", () => {
+    it("picks the mode from its flag", () => {
+      expect(getOutputMode(["my-api", "--json"])).toBe("json");
+      expect(getOutputMode(["my-api"])).toBe("normal");
+    });
+
+    it("rejects more than one mode", () => {
+      expect(() => getOutputMode(["--json", "--quiet"])).toThrow(
+        "Use only one of",
+      );
+    });
+
+    it("can be removed from the arguments", () => {
+      expect(withoutOutputFlags(["add", "auth", "--json"])).toEqual([
+        "add",
+        "auth",
+      ]);
+    });
+  });
+
+  describe("validatePreset", () => {
+    it("accepts a valid preset", () => {
+      expect(
+        validatePreset({
+          projectName: "my-api",
+          language: "ts",
+          database: "postgres",
+          auth: true,
+          userRoles: ["user", "admin"],
+          includePayments: true,
+          paymentProvider: "stripe",
+        }),
+      ).toEqual([]);
+    });
+
+    it("accepts every built-in preset", () => {
+      for (const { preset } of Object.values(BUILT_IN_PRESETS)) {
+        expect(validatePreset(preset)).toEqual([]);
+      }
+    });
+
+    it("rejects anything but an object", () => {
+      expect(validatePreset([])).toEqual(["a preset must be a JSON object"]);
+      expect(validatePreset(null)).toEqual(["a preset must be a JSON object"]);
+    });
+
+    it("checks the language before the modules", () => {
+      expect(validatePreset({ language: "go", auth: "yes" })).toEqual([
+        '"language" must be one of "ts", "js" (got "go")',
+      ]);
+    });
+
+    it("reports unknown keys", () => {
+      const [problem] = validatePreset({ colour: "red" });
+
+      expect(problem).toMatch(/^"colour" is not a known preset option/);
+      expect(problem).toContain("includePayments");
+    });
+
+    it.each([
+      [{ auth: "yes" }, '"auth" must be a boolean (got "yes")'],
+      [
+        { paymentProvider: "paypal" },
+        '"paymentProvider" must be one of "stripe", "lemonsqueezy", "both" (got "paypal")',
+      ],
+      [
+        { userRoles: "admin" },
+        '"userRoles" must be a list of strings (got "admin")',
+      ],
+      [{ projectName: " " }, '"projectName" must not be empty'],
+      [{ swaggerPath: "docs" }, '"swaggerPath" must be a path like /api-docs'],
+    ])("reports %j", (preset, problem) => {
+      expect(validatePreset(preset)).toEqual([problem]);
+    });
+
+    it("checks the database against the language's choices", () => {
+      const [problem] = validatePreset({ language: "js", database: "nope" });
+
+      expect(problem).toMatch(/^"database" must be one of .*"postgres"/);
+    });
+  });
+});
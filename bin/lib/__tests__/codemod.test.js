@@ -0,0 +1,208 @@
+import { describe, it, expect } from "vitest";
+import {
+  addImports,
+  insertStatements,
+  addObjectEntries,
+  removeModuleReferences,
+} from "../codemod";
+
+const APP = `import express from "express";
+import cors from "cors";
+
+const app = express();
+
+// Parse JSON
+app.use(express.json());
+
+export default app;
+`;
+
+const ROUTES = `import { Router } from "express";
+import authRoutes from "./modules/auth/auth.routes.js";
+import healthRoutes from "./modules/health/health.routes.js";
+
+const router = Router();
+
+router.use("/auth", authRoutes);
+router.use("/health", healthRoutes);
+
+export default router;
+`;
+
+describe("codemod", () => {
+  describe("addImports", () => {
+    it("adds imports after the last one, skipping modules already imported", () => {
+      const result = addImports(APP, "js", [
+        'import cors from "cors";',
+        'import helmet from "helmet";',
+      ]);
+
+      expect(result.added).toEqual(['import helmet from "helmet";']);
+      expect(result.code).toContain(
+        'import cors from "cors";\nimport helmet from "helmet";\n\nconst app',
+      );
+    });
+
+    it("puts a blank line after the imports of a file that had none", () => {
+      const result = addImports("const a = 1;\n", "js", ['import x from "x";']);
+
+      expect(result.code).toBe('import x from "x";\n\nconst a = 1;\n');
+    });
+
+    it("leaves the code alone when there's nothing to add", () => {
+      const result = addImports(APP, "js", ["import express from 'express';"]);
+
+      expect(result).toEqual({ code: APP, added: [] });
+    });
+  });
+
+  describe("insertStatements", () => {
+    it("inserts before the anchor, above the anchor's comment", () => {
+      const statement =
+        '// Webhook raw body\napp.use("/api/payments/webhook", express.raw());';
+      const result = insertStatements(APP, "js", {
+        before: "app.use(express.json())",
+        statements: [statement],
+      });
+
+      expect(result.anchorFound).toBe(true);
+      expect(result.added).toEqual([statement]);
+      expect(result.code).toContain(
+        `${statement}\n\n// Parse JSON\napp.use(express.json());`,
+      );
+    });
+
+    it("skips statements already in the file, whatever their formatting", () => {
+      const result = insertStatements(APP, "js", {
+        before: "export default app",
+        statements: ["app.use( express.json() )"],
+      });
+
+      expect(result).toEqual({ code: APP, added: [], anchorFound: true });
+    });
+
+    it("reports a missing anchor", () => {
+      const result = insertStatements(APP, "js", {
+        before: "app.listen(",
+        statements: ["app.use(helmet());"],
+      });
+
+      expect(result).toEqual({ code: APP, added: [], anchorFound: false });
+    });
+  });
+
+  describe("addObjectEntries", () => {
+    it("adds entries whose key isn't listed yet", () => {
+      const config = `const swaggerOptions = {
+  title: "API",
+  schemas: {
+    createItemSchema,
+  },
+};
+
+export default swaggerOptions;
+`;
+      const result = addObjectEntries(config, "js", {
+        property: "schemas",
+        entries: ["createItemSchema", "Pet: petSchema"],
+      });
+
+      expect(result.added).toEqual(["Pet: petSchema"]);
+      expect(result.code).toContain(
+        "    createItemSchema,\n    Pet: petSchema,\n  },",
+      );
+    });
+  });
+
+  describe("removeModuleReferences", () => {
+    it("removes the module's imports and the statements using them", () => {
+      const result = removeModuleReferences(ROUTES, "js", ["modules/auth/"]);
+
+      expect(result.unsafe).toEqual([]);
+      expect(result.removed).toEqual([
+        'import authRoutes from "./modules/auth/auth.routes.js";',
+        'router.use("/auth", authRoutes);',
+      ]);
+      expect(result.code).not.toContain("auth");
+      expect(result.code).toContain('router.use("/health", healthRoutes);');
+    });
+
+    it("follows declarations made from what the module provided", () => {
+      const code = `import express from "express";
+import { createPayments } from "./modules/payments/index.js";
+
+const app = express();
+const payments = createPayments();
+const handler = payments.handler;
+app.use(handler);
+
+export default app;
+`;
+      const result = removeModuleReferences(code, "js", ["modules/payments/"]);
+
+      expect(result.removed).toHaveLength(4);
+      expect(result.code).toBe(
+        'import express from "express";\n\nconst app = express();\n\nexport default app;\n',
+      );
+    });
+
+    it("drops single entries of object and array literals", () => {
+      const code = `import swagger from "@charcoles/swagger";
+import authDocs from "./modules/auth/docs.js";
+
+export default {
+  plugins: [swagger, authDocs],
+};
+`;
+      const result = removeModuleReferences(code, "js", ["modules/auth/"]);
+
+      expect(result.code).toContain("plugins: [swagger],");
+      expect(result.code).not.toContain("authDocs");
+    });
+
+    it("removes statements with strings pointing into the module", () => {
+      const result = removeModuleReferences(
+        'app.use("/api/payments/webhook", raw());\nfoo("/x");\n',
+        "js",
+        ["/payments"],
+      );
+
+      expect(result.code).toBe('foo("/x");\n');
+    });
+
+    it("changes nothing and reports uses inside functions", () => {
+      const code = `import { requireAuth } from "./modules/auth/middleware.js";
+
+export function handler(req, res) {
+  return requireAuth(req, res);
+}
+`;
+      const result = removeModuleReferences(code, "js", ["modules/auth/"]);
+
+      expect(result.code).toBe(code);
+      expect(result.removed).toEqual([]);
+      expect(result.unsafe).toEqual([
+        {
+          line: 1,
+          code: 'import { requireAuth } from "./modules/auth/middleware.js";',
+          name: "requireAuth",
+          usedOn: [4],
+        },
+      ]);
+    });
+
+    it("changes nothing and reports uses inside types", () => {
+      const code = `import { authRoutes } from "./modules/auth/auth.routes";
+
+const mounted: typeof authRoutes[] = [];
+export default mounted;
+`;
+      const result = removeModuleReferences(code, "ts", ["modules/auth/"]);
+
+      expect(result.code).toBe(code);
+      expect(result.unsafe).toMatchObject([
+        { name: "authRoutes", usedOn: [3] },
+      ]);
+    });
+  });
+});
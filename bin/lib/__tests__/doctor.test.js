@@ -0,0 +1,174 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { validateEnvValue, readEnvSchema, checkWebhookOrder } from "../doctor";
+
+const ENV_CONFIG = `import { z } from "zod";
+
+const envSchema = z.object({
+  NODE_ENV: z.enum(["development", "production"]).default("development"),
+  PORT: z.coerce.number().int().positive().default(3000),
+  COUNT: z.number(),
+  JWT_SECRET: z.string().min(32),
+  APP_URL: z.string().url().optional(),
+  DEBUG: z.boolean(),
+});
+
+export const env = envSchema.parse(process.env);
+`;
+
+describe("doctor", () => {
+  describe("readEnvSchema", () => {
+    it("describes each field of envSchema", () => {
+      const schema = readEnvSchema(ENV_CONFIG, "js");
+
+      expect(Object.keys(schema)).toEqual([
+        "NODE_ENV",
+        "PORT",
+        "COUNT",
+        "JWT_SECRET",
+        "APP_URL",
+        "DEBUG",
+      ]);
+      expect(schema.NODE_ENV).toMatchObject({
+        type: "enum",
+        values: ["development", "production"],
+        optional: true,
+      });
+      expect(schema.PORT).toMatchObject({
+        type: "number",
+        coerce: true,
+        checks: [{ name: "int" }, { name: "positive" }],
+      });
+      expect(schema.JWT_SECRET).toMatchObject({
+        type: "string",
+        optional: false,
+        checks: [{ name: "min", value: 32 }],
+      });
+    });
+
+    it("returns null without an envSchema", () => {
+      expect(readEnvSchema("export const env = process.env;", "js")).toBeNull();
+    });
+  });
+
+  describe("validateEnvValue", () => {
+    const schema = readEnvSchema(ENV_CONFIG, "js");
+
+    it.each([
+      ["PORT", "8080"],
+      ["PORT", undefined],
+      ["NODE_ENV", "production"],
+      ["JWT_SECRET", "x".repeat(32)],
+      ["APP_URL", "https://example.com"],
+      ["APP_URL", undefined],
+    ])("accepts %s=%s", (key, value) => {
+      expect(validateEnvValue(schema[key], value)).toBeNull();
+    });
+
+    it.each([
+      [
+        "NODE_ENV",
+        "staging",
+        'must be one of development, production (got "staging")',
+      ],
+      ["PORT", "abc", 'must be a number (got "abc")'],
+      ["PORT", "3.5", 'must be a whole number (got "3.5")'],
+      ["PORT", "0", 'must be positive (got "0")'],
+      ["JWT_SECRET", "short", "must be at least 32 characters"],
+      ["JWT_SECRET", undefined, "is required but not set"],
+      ["APP_URL", "nope", 'must be a URL (got "nope")'],
+    ])("rejects %s=%s", (key, value, problem) => {
+      expect(validateEnvValue(schema[key], value)).toBe(problem);
+    });
+
+    it("flags numbers and booleans Zod can't read from a string", () => {
+      expect(validateEnvValue(schema.COUNT, "1")).toMatch(
+        /use z\.coerce\.number\(\)/,
+      );
+      expect(validateEnvValue(schema.DEBUG, "true")).toMatch(
+        /use z\.coerce\.boolean\(\)/,
+      );
+    });
+  });
+
+  describe("checkWebhookOrder", () => {
+    let projectDir;
+
+    const writeApp = (code) => {
+      fs.mkdirSync(path.join(projectDir, "src"), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, "src/app.js"), code);
+    };
+    const check = (answers = {}) =>
+      checkWebhookOrder({
+        dir: projectDir,
+        language: "js",
+        modules: { payments: true },
+        answers,
+      });
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "charcole-doctor-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it("passes when express.raw() comes first", () => {
+      writeApp(`app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
+app.use(express.json());
+`);
+
+      expect(check()).toEqual([
+        {
+          status: "pass",
+          message:
+            "express.raw() runs before express.json() for /api/payments/webhook",
+        },
+      ]);
+    });
+
+    it("fails when express.raw() comes after express.json()", () => {
+      writeApp(`app.use(express.json());
+app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
+`);
+
+      const [result] = check();
+      expect(result.status).toBe("fail");
+      expect(result.message).toContain("after express.json()");
+    });
+
+    it("fails without express.raw() for the webhook", () => {
+      writeApp("app.use(express.json());\n");
+
+      const [result] = check();
+      expect(result.status).toBe("fail");
+      expect(result.fix).toContain(
+        'app.use("/api/payments/webhook", express.raw(',
+      );
+    });
+
+    it("uses the payments path from the project's answers", () => {
+      writeApp(`app.use("/api/billing/webhook", express.raw({ type: "application/json" }));
+app.use(express.json());
+`);
+
+      expect(check({ paymentsPath: "/billing" })[0].status).toBe("pass");
+    });
+
+    it("skips projects without payments", () => {
+      writeApp("app.use(express.json());\n");
+
+      expect(
+        checkWebhookOrder({
+          dir: projectDir,
+          language: "js",
+          modules: {},
+          answers: {},
+        }),
+      ).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  LOCKFILE,
+  hashContent,
+  listTrackedFiles,
+  writeLockfile,
+  readLockfile,
+  updateLockfile,
+} from "../lockfile";
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+describe("lockfile", () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "charcole-lock-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe("hashContent", () => {
+    it("returns the sha256 hex digest", () => {
+      expect(hashContent("hello")).toBe(
+        "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824",
+      );
+    });
+
+    it("hashes strings and buffers with the same content alike", () => {
+      expect(hashContent(Buffer.from("app.use()"))).toBe(
+        hashContent("app.use()"),
+      );
+    });
+  });
+
+  describe("listTrackedFiles", () => {
+    it("lists files as sorted forward-slash paths", () => {
+      writeFiles(projectDir, {
+        "src/app.js": "",
+        "package.json": "{}",
+        "src/modules/health/health.routes.js": "",
+      });
+
+      expect(listTrackedFiles(projectDir)).toEqual([
+        "package.json",
+        "src/app.js",
+        "src/modules/health/health.routes.js",
+      ]);
+    });
+
+    it("leaves out secrets, installed packages, git data, tarballs and the lockfile", () => {
+      writeFiles(projectDir, {
+        "src/app.js": "",
+        ".env": "JWT_SECRET=secret",
+        ".env.development": "",
+        ".env.test": "",
+        ".env.production": "",
+        "node_modules/express/index.js": "",
+        ".git/HEAD": "",
+        "charcoles-swagger-1.0.0.tgz": "",
+        "local-packages/charcoles-payments-1.0.0.tgz": "",
+        [LOCKFILE]: "{}",
+      });
+
+      expect(listTrackedFiles(projectDir)).toEqual(["src/app.js"]);
+    });
+
+    it("keeps the example env files", () => {
+      writeFiles(projectDir, {
+        ".env.example": "",
+        ".env.production.example": "",
+      });
+
+      expect(listTrackedFiles(projectDir)).toEqual([
+        ".env.example",
+        ".env.production.example",
+      ]);
+    });
+  });
+
+  describe("writeLockfile / updateLockfile", () => {
+    const project = {
+      projectName: "my-api",
+      language: "js",
+      answers: { auth: true, swagger: false },
+    };
+
+    it("records the answers and a hash per tracked file", () => {
+      writeFiles(projectDir, { "src/app.js": "app", ".env": "SECRET=1" });
+      writeLockfile(projectDir, project);
+
+      const lock = readLockfile(projectDir);
+      expect(lock).toMatchObject({
+        projectName: "my-api",
+        language: "js",
+        answers: { auth: true, swagger: false },
+        files: { "src/app.js": hashContent("app") },
+      });
+      expect(lock.files).not.toHaveProperty(".env");
+    });
+
+    it("returns null for folders without a lockfile", () => {
+      expect(readLockfile(projectDir)).toBeNull();
+    });
+
+    it("merges answers, re-hashes changed files and drops removed ones", () => {
+      writeFiles(projectDir, {
+        "src/app.js": "app",
+        "src/modules/auth/auth.routes.js": "auth",
+      });
+      writeLockfile(projectDir, project);
+
+      fs.writeFileSync(path.join(projectDir, "src/app.js"), "changed");
+      fs.rmSync(path.join(projectDir, "src/modules/auth"), {
+        recursive: true,
+      });
+      updateLockfile(projectDir, {
+        answers: { auth: false, jwtExpiresIn: undefined },
+        files: ["src/app.js", "src/modules/auth"],
+      });
+
+      const lock = readLockfile(projectDir);
+      expect(lock.answers).toEqual({ auth: false, swagger: false });
+      expect(lock.files).toEqual({ "src/app.js": hashContent("changed") });
+    });
+
+    it("hashes every file in an added folder", () => {
+      writeFiles(projectDir, { "src/app.js": "app" });
+      writeLockfile(projectDir, project);
+
+      writeFiles(projectDir, {
+        "src/modules/swagger/swagger.config.js": "config",
+      });
+      updateLockfile(projectDir, { files: ["src/modules/swagger"] });
+
+      expect(Object.keys(readLockfile(projectDir).files)).toEqual([
+        "src/app.js",
+        "src/modules/swagger/swagger.config.js",
+      ]);
+    });
+
+    it("leaves projects without a lockfile alone", () => {
+      updateLockfile(projectDir, { answers: { auth: true } });
+
+      expect(fs.existsSync(path.join(projectDir, LOCKFILE))).toBe(false);
+    });
+  });
+});
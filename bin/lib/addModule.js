@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+
+const {
+  listModules,
+  getModule,
+  validateSelection,
+  readProject,
+} = require("./modules");
+const { writeJson } = require("./packageJson");
+const {
+  getOptionProblem,
+  toPromptQuestion,
+  resolveModuleOptions,
+  applyModuleAnswers,
+  getModulePaths,
+  installModule,
+} = require("./moduleInstaller");
+const {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  getInstallCommand,
+  tryInstallDependencies,
+} = require("./pkgManager");
+const { updateLockfile } = require("./lockfile");
+const { ENV_FILES, isExampleEnvFile } = require("./envFile");
+const { createReporter } = require("./reporter");
+const { snapshotPaths } = require("./staging");
+const { findFlagValue, resolveAnswers } = require("./cliOptions");
+const {
+  LOCAL_PACKAGES_DIR,
+  getLocalPackages,
+  useLocalPackages,
+  packLocalPackages,
+} = require("./localPackages");
+const {
+  UnknownModuleError,
+  InvalidOptionsError,
+  AddModuleError,
+  CancelledError,
+} = require("./errors");
+
+/**
+ * Add an optional module to an existing project. `answers` are the module's
+ * follow-up answers (defaults fill in the rest); `askOptions` can be given
+ * instead to ask for them once the module is known to fit. `localPackages`
+ * uses builds of packages/* as in `createProject`.
+ *
+ * Resolves with `{ added: false }` when the module is already installed.
+ * Throws UnknownModuleError or InvalidOptionsError when it can't be added,
+ * and AddModuleError when packing or installing fails, after putting back
+ * every file it had changed.
+ */
+async function addModule({
+  projectDir = process.cwd(),
+  module: moduleName,
+  answers,
+  askOptions,
+  skipInstall = false,
+  localPackages = false,
+  pm,
+  reporter = createReporter("silent"),
+} = {}) {
+  const project = readProject(projectDir);
+  const modules = listModules(project.language, project.templateDir);
+  const mod = getModule(moduleName, project.language, project.templateDir);
+
+  if (!mod) {
+    throw new UnknownModuleError(
+      moduleName,
+      modules.map((other) => other.name),
+    );
+  }
+
+  if (project.modules[moduleName]) {
+    return { added: false, module: moduleName };
+  }
+
+  const installed = modules.filter((other) => project.modules[other.name]);
+  const problems = validateSelection([...installed, mod]);
+  if (problems.length > 0) {
+    throw new InvalidOptionsError(
+      `Can't add ${moduleName}: ${problems.join("; ")}`,
+      problems,
+    );
+  }
+
+  const options = resolveModuleOptions(
+    mod,
+    askOptions ? await askOptions(mod) : answers,
+  );
+  const optionProblems = mod.options
+    .map((option) => {
+      const problem = getOptionProblem(option, options[option.name]);
+      return problem && `"${option.name}" ${problem}`;
+    })
+    .filter(Boolean);
+  if (optionProblems.length > 0) {
+    throw new InvalidOptionsError(
+      `Invalid ${moduleName} options: ${optionProblems.join("; ")}`,
+      optionProblems,
+    );
+  }
+
+  reporter.info(`\n📦 Adding ${mod.description}...`);
+
+  // Everything adding the module can change, so a failed pack or install
+  // can put the project back as it was
+  const withAnswers = applyModuleAnswers(mod, options);
+  const snapshot = snapshotPaths(project.dir, [
+    ...getModulePaths(project, withAnswers),
+    ...[
+      "package.json",
+      LOCAL_PACKAGES_DIR,
+      ...ENV_FILES,
+      ...withAnswers.tarballs,
+      ...withAnswers.inject.map((point) => point.file),
+    ].map((file) => path.join(project.dir, file)),
+  ]);
+
+  const pkgManager = pm || detectPackageManager(project.dir);
+  let result;
+
+  try {
+    result = installModule(project, mod, options);
+    result.warnings.forEach((warning) => reporter.warn(warning));
+
+    if (localPackages) {
+      const packages = getLocalPackages(result.pkg);
+      packLocalPackages(project.dir, packages);
+      result.pkg = useLocalPackages(result.pkg, packages);
+      if (packages.length > 0) {
+        reporter.info(
+          `📦 Packed ${packages.map((local) => `${local.name}@${local.version}`).join(", ")} into ${LOCAL_PACKAGES_DIR}/`,
+        );
+      }
+    }
+
+    writeJson(path.join(project.dir, "package.json"), result.pkg);
+    reporter.info(`✓ Merged dependencies: ${result.dependencies.join(", ")}`);
+
+    reporter.info(`✓ Copied ${result.copied.length} file(s)`);
+    for (const file of result.skipped) {
+      reporter.info(`  Kept existing ${path.relative(project.dir, file)}`);
+    }
+
+    for (const { file, added } of result.envAdded) {
+      reporter.info(`✓ Added ${added.join(", ")} to ${file}`);
+    }
+
+    for (const file of result.updated) {
+      reporter.info(`✓ Updated ${file}`);
+    }
+
+    if (!skipInstall) {
+      reporter.info(`\n📦 Installing dependencies using ${pkgManager}...`);
+      const installError = tryInstallDependencies(project.dir, pkgManager, {
+        stdio:
+          reporter.mode === "normal" || reporter.mode === "verbose"
+            ? "inherit"
+            : "pipe",
+      });
+
+      if (installError) {
+        throw new AddModuleError(
+          moduleName,
+          new Error(`couldn't install dependencies (${installError})`),
+          [
+            `Fix the problem and run add again, or pass --skip-install and run \`${getInstallCommand(pkgManager)}\` later`,
+          ],
+        );
+      }
+
+      for (const tarball of result.tarballs) {
+        if (fs.existsSync(tarball)) fs.unlinkSync(tarball);
+      }
+    }
+  } catch (err) {
+    snapshot.restore();
+
+    if (err instanceof AddModuleError) throw err;
+    // Ctrl+C during the install reaches the package manager first
+    if (err.signal === "SIGINT") {
+      throw new CancelledError(null, {
+        outcome: "the project was left as it was",
+      });
+    }
+    throw new AddModuleError(moduleName, err);
+  }
+
+  updateLockfile(project.dir, {
+    answers: { [mod.prompt.name]: true, ...options },
+    files: [
+      ...result.copied,
+      ...result.updated,
+      "package.json",
+      ...ENV_FILES.filter(isExampleEnvFile),
+    ],
+  });
+
+  return {
+    added: true,
+    module: moduleName,
+    answers: options,
+    files: result.copied.map((file) => path.relative(project.dir, file)),
+    updated: result.updated,
+    dependencies: result.dependencies,
+    installed: !skipInstall,
+    manualSteps: result.manualSteps,
+  };
+}
+
+/**
+ * Ask a module's follow-up questions (e.g. the payment provider), or take
+ * their defaults with `--yes` or when there's no terminal to ask in
+ */
+async function askModuleOptions(mod, { useDefaults }) {
+  if (useDefaults || mod.options.length === 0) return {};
+  return resolveAnswers(mod.options.map(toPromptQuestion), {}, { useDefaults });
+}
+
+/**
+ * `create-charcole add <module>` — add an optional module to the project in
+ * the current directory
+ */
+async function runAdd(args, reporter = createReporter()) {
+  const pm = findFlagValue(args, "pm");
+  const moduleName = args.find(
+    (arg, i) => !arg.startsWith("-") && args[i - 1] !== "--pm",
+  );
+
+  if (pm !== null && !PACKAGE_MANAGERS.includes(pm)) {
+    throw new InvalidOptionsError(
+      `--pm must be one of ${PACKAGE_MANAGERS.join(", ")} (got "${pm}")`,
+    );
+  }
+
+  if (!moduleName) {
+    const project = readProject(process.cwd());
+    const available = listModules(project.language, project.templateDir)
+      .map((mod) => mod.name)
+      .join(", ");
+    throw new InvalidOptionsError(
+      `Usage: create-charcole add <module> (${available})`,
+    );
+  }
+
+  const result = await addModule({
+    module: moduleName,
+    askOptions: (mod) =>
+      askModuleOptions(mod, {
+        useDefaults:
+          args.includes("--yes") || reporter.isJson || !process.stdin.isTTY,
+      }),
+    skipInstall: args.includes("--skip-install"),
+    localPackages: args.includes("--local-packages"),
+    pm,
+    reporter,
+  });
+
+  if (!result.added) {
+    reporter.finish(`${moduleName} is already part of this project`, {
+      module: moduleName,
+      added: false,
+    });
+    return;
+  }
+
+  reporter.record({ files: result.files, manualSteps: result.manualSteps });
+  reporter.finish(`Added ${moduleName} module`, {
+    module: moduleName,
+    added: true,
+    answers: result.answers,
+    updated: result.updated,
+    addedDependencies: result.dependencies,
+    installed: result.installed,
+  });
+}
+
+module.exports = {
+  addModule,
+  runAdd,
+};
@@ -0,0 +1,46 @@
+const path = require("path");
+
+const { createProject } = require("./createProject");
+const { addModule } = require("./addModule");
+const { resolveModuleOptions } = require("./moduleInstaller");
+const modules = require("./modules");
+const errors = require("./errors");
+
+/**
+ * The modules a template offers, e.g. to build a UI around `createProject`.
+ * `template` is a custom template folder; by default the built-in template
+ * for `language` is used.
+ */
+function listModules({ language = "ts", template } = {}) {
+  let templateDir = modules.getTemplateDir(language);
+
+  if (template) {
+    templateDir = path.resolve(template);
+    const problems = modules.validateTemplate(templateDir);
+    if (problems.length > 0) {
+      throw new errors.InvalidTemplateError(templateDir, problems);
+    }
+    language = modules.detectTemplateLanguage(templateDir);
+  }
+
+  return modules.listModules(language, templateDir).map((mod) => ({
+    name: mod.name,
+    description: mod.description,
+    requires: mod.requires,
+    conflicts: mod.conflicts,
+    options: mod.options.map((option) => ({
+      name: option.name,
+      type: option.type,
+      message: option.message,
+      choices: (option.choices || []).map((choice) => choice.value),
+      default: resolveModuleOptions(mod)[option.name],
+    })),
+  }));
+}
+
+module.exports = {
+  createProject,
+  addModule,
+  listModules,
+  ...errors,
+};
@@ -0,0 +1,433 @@
+const path = require("path");
+const prompts = require("prompts");
+
+const {
+  listModules,
+  getDatabasePrompt,
+  detectTemplateLanguage,
+  validateTemplate,
+} = require("./modules");
+const { DOCKER_PROMPT } = require("./docker");
+const { ENV_FILES_PROMPT } = require("./envFile");
+const { OUTPUT_MODES } = require("./reporter");
+const { PACKAGE_MANAGERS } = require("./pkgManager");
+const { getOptionProblem } = require("./moduleInstaller");
+const { CancelledError } = require("./errors");
+
+const LANGUAGES = ["ts", "js"];
+const LANGUAGE_PROMPT = {
+  type: "select",
+  name: "language",
+  message: "Language:",
+  choices: [
+    { title: "TypeScript", value: "ts" },
+    { title: "JavaScript", value: "js" },
+  ],
+};
+
+// Flags that take a value, e.g. `--lang ts` or `--lang=ts`
+const VALUE_FLAGS = [
+  "preset",
+  "save-preset",
+  "template",
+  "lang",
+  "database",
+  "pm",
+  "from-openapi",
+];
+const BOOLEAN_FLAGS = [
+  "dry-run",
+  "yes",
+  "skip-install",
+  "skip-git",
+  "local-packages",
+  "workspace",
+  "json",
+  "quiet",
+  "verbose",
+];
+// Flags with a `--no-` form for yes/no questions outside the modules
+const TOGGLE_FLAGS = ["docker", "env-files"];
+
+/**
+ * Modules that have a follow-up select (e.g. payments) accept it as the flag
+ * value: `--payments stripe`. The next argument is only taken as the value
+ * when it is one of the choices, so `--swagger my-api` still names the
+ * project. With a valid custom template only its modules count; an invalid
+ * one is reported after parsing, so the built-in modules are used until then.
+ */
+function getModuleFlagInfo(templateDir) {
+  const info = {};
+  const useTemplate = templateDir && validateTemplate(templateDir).length === 0;
+  const languages = useTemplate
+    ? [detectTemplateLanguage(templateDir)]
+    : LANGUAGES;
+
+  for (const language of languages) {
+    const modules = useTemplate
+      ? listModules(language, templateDir)
+      : listModules(language);
+    for (const mod of modules) {
+      const option = mod.options.find((o) => o.type === "select");
+      info[mod.name] = {
+        values: [
+          ...((info[mod.name] && info[mod.name].values) || []),
+          ...(option ? option.choices.map((choice) => choice.value) : []),
+        ],
+      };
+    }
+  }
+  return info;
+}
+
+/**
+ * Parse the scaffold command line. Module flags (`--auth`, `--no-swagger`,
+ * `--payments stripe`) are collected by module name and checked once the
+ * language is known.
+ */
+function parseArgs(args) {
+  const templateArg = findFlagValue(args, "template");
+  const moduleFlags = getModuleFlagInfo(
+    templateArg && path.resolve(process.cwd(), templateArg),
+  );
+  const options = {
+    projectName: null,
+    preset: null,
+    savePreset: null,
+    template: null,
+    language: null,
+    database: null,
+    pm: null,
+    fromOpenapi: null,
+    dryRun: false,
+    yes: false,
+    skipInstall: false,
+    skipGit: false,
+    localPackages: false,
+    workspace: false,
+    json: false,
+    quiet: false,
+    verbose: false,
+    docker: null,
+    envFiles: null,
+    modules: {},
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith("-")) {
+      // The first argument that doesn't start with '-' is the project name
+      if (options.projectName === null) {
+        options.projectName = arg;
+        continue;
+      }
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+
+    if (arg === "-y") {
+      options.yes = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--/, "").split(/=(.*)/s);
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith("-")) {
+        throw new Error(`--${flag} requires a value`);
+      }
+      i++;
+      return next;
+    };
+
+    if (VALUE_FLAGS.includes(flag)) {
+      const value = takeValue();
+      if (flag === "preset") options.preset = value;
+      if (flag === "save-preset") options.savePreset = value;
+      if (flag === "template") {
+        options.template = path.resolve(process.cwd(), value);
+      }
+      if (flag === "lang") options.language = value;
+      if (flag === "database") options.database = value;
+      if (flag === "pm") options.pm = value;
+      if (flag === "from-openapi") {
+        options.fromOpenapi = path.resolve(process.cwd(), value);
+      }
+    } else if (BOOLEAN_FLAGS.includes(flag)) {
+      options[toOptionKey(flag)] = true;
+    } else if (TOGGLE_FLAGS.includes(flag.replace(/^no-/, ""))) {
+      options[toOptionKey(flag.replace(/^no-/, ""))] = !flag.startsWith("no-");
+    } else if (flag.startsWith("no-") && moduleFlags[flag.slice(3)]) {
+      options.modules[flag.slice(3)] = false;
+    } else if (moduleFlags[flag]) {
+      const next = args[i + 1];
+      const hasValue =
+        inlineValue !== undefined || moduleFlags[flag].values.includes(next);
+      options.modules[flag] = hasValue ? takeValue() : true;
+    } else {
+      throw new Error(`Unknown option --${flag}`);
+    }
+  }
+
+  if (options.language !== null && !LANGUAGES.includes(options.language)) {
+    throw new Error(
+      `--lang must be one of ${LANGUAGES.join(", ")} (got "${options.language}")`,
+    );
+  }
+
+  if (options.pm !== null && !PACKAGE_MANAGERS.includes(options.pm)) {
+    throw new Error(
+      `--pm must be one of ${PACKAGE_MANAGERS.join(", ")} (got "${options.pm}")`,
+    );
+  }
+
+  return options;
+}
+
+/**
+ * The options key for a flag, e.g. `skip-install` → `skipInstall`
+ */
+function toOptionKey(flag) {
+  return flag.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * The output mode picked with --json, --quiet or --verbose. Read ahead of
+ * the full parse so even argument errors come out in that mode.
+ */
+function getOutputMode(args) {
+  const modes = OUTPUT_MODES.filter(
+    (mode) =>
+      mode !== "normal" && mode !== "silent" && args.includes(`--${mode}`),
+  );
+  if (modes.length > 1) {
+    throw new Error(
+      `Use only one of ${modes.map((mode) => `--${mode}`).join(", ")}`,
+    );
+  }
+  return modes[0] || "normal";
+}
+
+/**
+ * `args` without --json, --quiet and --verbose, which subcommands get as
+ * their reporter instead
+ */
+function withoutOutputFlags(args) {
+  const flags = OUTPUT_MODES.filter(
+    (mode) => mode !== "normal" && mode !== "silent",
+  ).map((mode) => `--${mode}`);
+  return args.filter((arg) => !flags.includes(arg));
+}
+
+/**
+ * The value of a value flag (`--flag value` or `--flag=value`), read ahead of
+ * the full parse
+ */
+function findFlagValue(args, flag) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${flag}`) return args[i + 1] || null;
+    if (args[i].startsWith(`--${flag}=`)) {
+      return args[i].slice(flag.length + 3);
+    }
+  }
+  return null;
+}
+
+/**
+ * The preset schema for a language: project settings, the database, and each
+ * module's include question and follow-up questions
+ */
+function getPresetSchema(language, templateDir) {
+  const schema = {
+    projectName: { type: "string" },
+    language: { enum: LANGUAGES },
+  };
+
+  const fieldFor = (question) => {
+    if (question.choices) {
+      return { enum: question.choices.map((choice) => choice.value) };
+    }
+    if (question.type === "confirm" || question.type === "toggle") {
+      return { type: "boolean" };
+    }
+    if (question.type === "number") return { type: "number" };
+    if (question.type === "list") return { type: "list", question };
+    return { type: "string", question };
+  };
+
+  const databasePrompt = language && getDatabasePrompt(language, templateDir);
+  if (databasePrompt && databasePrompt.choices.length > 0) {
+    schema.database = fieldFor(databasePrompt);
+  }
+
+  for (const mod of language ? listModules(language, templateDir) : []) {
+    schema[mod.prompt.name] = fieldFor(mod.prompt);
+    for (const option of mod.options) {
+      schema[option.name] = fieldFor(option);
+    }
+  }
+
+  schema.docker = fieldFor(DOCKER_PROMPT);
+  schema.envFiles = fieldFor(ENV_FILES_PROMPT);
+
+  return schema;
+}
+
+/**
+ * Check a preset against the schema. Keys may be left out; they are asked
+ * for or defaulted later. Returns a list of problems.
+ */
+function validatePreset(preset, { templateDir } = {}) {
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    return ["a preset must be a JSON object"];
+  }
+
+  // The language decides which modules exist, so check it on its own first
+  const baseProblems = checkFields(
+    { language: preset.language },
+    getPresetSchema(null),
+  );
+  if (baseProblems.length > 0) return baseProblems;
+
+  const templateLanguage = templateDir && detectTemplateLanguage(templateDir);
+  const knownLanguages = templateLanguage
+    ? [templateLanguage]
+    : preset.language
+      ? [preset.language]
+      : LANGUAGES;
+  const schema = Object.assign(
+    {},
+    ...knownLanguages.map((language) =>
+      getPresetSchema(language, templateDir || undefined),
+    ),
+  );
+
+  return checkFields(preset, schema);
+}
+
+function checkFields(values, schema) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const field = schema[key];
+    if (value === undefined) continue;
+
+    if (!field) {
+      problems.push(
+        `"${key}" is not a known preset option (expected one of: ${Object.keys(schema).join(", ")})`,
+      );
+    } else if (field.enum && !field.enum.includes(value)) {
+      problems.push(
+        `"${key}" must be one of ${field.enum.map((v) => JSON.stringify(v)).join(", ")} (got ${JSON.stringify(value)})`,
+      );
+    } else if (
+      field.type === "list" &&
+      !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+    ) {
+      problems.push(
+        `"${key}" must be a list of strings (got ${JSON.stringify(value)})`,
+      );
+    } else if (
+      field.type &&
+      field.type !== "list" &&
+      typeof value !== field.type
+    ) {
+      problems.push(
+        `"${key}" must be a ${field.type} (got ${JSON.stringify(value)})`,
+      );
+    } else if (field.type === "string" && value.trim() === "") {
+      problems.push(`"${key}" must not be empty`);
+    } else if (field.question) {
+      const problem = getOptionProblem(field.question, value);
+      if (problem) problems.push(`"${key}" ${problem}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Turn module flags into answers keyed like the prompts, so they can be
+ * merged with preset values. Throws on unknown modules or invalid values.
+ */
+function getModuleFlagAnswers(moduleFlags, modules) {
+  const answers = {};
+
+  for (const [name, value] of Object.entries(moduleFlags)) {
+    const mod = modules.find((m) => m.name === name);
+    if (!mod) {
+      throw new Error(`The ${name} module is not available for this language`);
+    }
+
+    answers[mod.prompt.name] = value !== false;
+    if (typeof value !== "string") continue;
+
+    const option = mod.options.find((o) => o.type === "select");
+    const values = option ? option.choices.map((choice) => choice.value) : [];
+    if (!values.includes(value)) {
+      throw new Error(
+        `--${name} must be one of ${values.join(", ")} (got "${value}")`,
+      );
+    }
+    answers[option.name] = value;
+  }
+
+  return answers;
+}
+
+/**
+ * The answer a question gets when nobody is there to answer it
+ */
+function getDefaultAnswer(question) {
+  if (question.choices) {
+    return question.choices[question.initial || 0].value;
+  }
+  if (question.type === "confirm" || question.type === "toggle") {
+    return Boolean(question.initial);
+  }
+  return question.initial;
+}
+
+/**
+ * Answer questions from known values (flags and preset) and ask only for the
+ * rest. With `useDefaults` nothing is asked and missing answers get their
+ * defaults instead; follow-up questions are left to resolveModuleOptions.
+ * Throws CancelledError when a prompt is aborted.
+ */
+async function resolveAnswers(questions, known, { useDefaults }) {
+  if (useDefaults) {
+    const answers = { ...known };
+    for (const question of questions) {
+      if (answers[question.name] !== undefined) continue;
+      if (typeof question.type === "function") continue;
+      answers[question.name] = getDefaultAnswer(question);
+    }
+    return answers;
+  }
+
+  prompts.override(known);
+  let cancelled = false;
+  const answers = await prompts(questions, {
+    onCancel: () => {
+      cancelled = true;
+      return false;
+    },
+  });
+  // Ctrl+C or Esc stops everything rather than going on with half the answers
+  if (cancelled) throw new CancelledError();
+  return { ...known, ...answers };
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_PROMPT,
+  PACKAGE_MANAGERS,
+  parseArgs,
+  findFlagValue,
+  getOutputMode,
+  withoutOutputFlags,
+  validatePreset,
+  getModuleFlagAnswers,
+  resolveAnswers,
+};
@@ -0,0 +1,564 @@
+const { parse } = require("@babel/parser");
+
+/**
+ * Parse a template source file (app.js, routes/index.ts, ...) into a Babel AST
+ */
+function parseSource(code, language) {
+  return parse(code, {
+    sourceType: "module",
+    allowAwaitOutsideFunction: true,
+    plugins: language === "ts" ? ["typescript"] : [],
+  });
+}
+
+/**
+ * Normalize a code snippet so formatting differences don't matter when comparing
+ */
+function normalizeCode(code) {
+  return code.replace(/\s+/g, "").replace(/'/g, '"').replace(/;+$/, "");
+}
+
+function lineStart(code, index) {
+  return code.lastIndexOf("\n", index - 1) + 1;
+}
+
+function lineEnd(code, index) {
+  const end = code.indexOf("\n", index);
+  return end === -1 ? code.length : end + 1;
+}
+
+/**
+ * Add import lines after the last top-level import, skipping the ones whose
+ * module specifier is already imported
+ */
+function addImports(code, language, importLines) {
+  const ast = parseSource(code, language);
+  const body = ast.program.body;
+  const imports = body.filter((node) => node.type === "ImportDeclaration");
+  const existingSources = new Set(imports.map((node) => node.source.value));
+
+  const added = importLines.filter((line) => {
+    const [statement] = parseSource(line, language).program.body;
+    return !existingSources.has(statement.source.value);
+  });
+
+  if (added.length === 0) {
+    return { code, added };
+  }
+
+  const insertAt = imports.length
+    ? lineEnd(code, imports[imports.length - 1].end)
+    : 0;
+
+  // A file without imports gets a blank line between them and its code
+  const separator = imports.length ? "\n" : "\n\n";
+
+  return {
+    code:
+      code.slice(0, insertAt) +
+      added.join("\n") +
+      separator +
+      code.slice(insertAt),
+    added,
+  };
+}
+
+function stripLineComments(code) {
+  return code
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"))
+    .join("\n");
+}
+
+/**
+ * Insert statements right before the top-level statement that starts with
+ * `before` (compared without whitespace or quote style). A statement may
+ * carry its own `//` comment lines. Statements that already appear in the
+ * file are skipped.
+ */
+function insertStatements(code, language, { before, statements }) {
+  const normalizedCode = normalizeCode(stripLineComments(code));
+  const pending = statements.filter(
+    (statement) =>
+      !normalizedCode.includes(normalizeCode(stripLineComments(statement))),
+  );
+
+  if (pending.length === 0) {
+    return { code, added: [], anchorFound: true };
+  }
+
+  const ast = parseSource(code, language);
+  const anchorText = normalizeCode(before);
+  const anchor = ast.program.body.find((node) =>
+    normalizeCode(code.slice(node.start, node.end)).startsWith(anchorText),
+  );
+
+  if (!anchor) {
+    return { code, added: [], anchorFound: false };
+  }
+
+  // Keep the anchor's own comment attached to it
+  const firstComment = (anchor.leadingComments || [])[0];
+  const insertAt = lineStart(
+    code,
+    firstComment ? firstComment.start : anchor.start,
+  );
+  const indent = code.slice(insertAt).match(/^[ \t]*/)[0];
+  const block = pending
+    .map((statement) =>
+      statement
+        .split("\n")
+        .map((line) => indent + line)
+        .join("\n"),
+    )
+    .join("\n\n");
+
+  return {
+    code: code.slice(0, insertAt) + block + "\n\n" + code.slice(insertAt),
+    added: pending,
+    anchorFound: true,
+  };
+}
+
+function propertyName(node) {
+  if (node.type !== "ObjectProperty" || node.computed) return null;
+  return node.key.type === "Identifier" ? node.key.name : node.key.value;
+}
+
+/**
+ * The object literal a module exports as its default, either directly
+ * (`export default { ... }`) or through a top-level `const`
+ */
+function findDefaultExportObject(ast) {
+  const body = ast.program.body;
+  const exported = body.find(
+    (node) => node.type === "ExportDefaultDeclaration",
+  );
+  if (!exported) return null;
+
+  const declaration = exported.declaration;
+  if (declaration.type === "ObjectExpression") return declaration;
+  if (declaration.type !== "Identifier") return null;
+
+  for (const node of body) {
+    if (node.type !== "VariableDeclaration") continue;
+    const declarator = node.declarations.find(
+      (d) => d.id.type === "Identifier" && d.id.name === declaration.name,
+    );
+    if (declarator && declarator.init?.type === "ObjectExpression") {
+      return declarator.init;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add `properties` (source text, one per entry) as the last entries of an
+ * object literal, one per line
+ */
+function appendProperties(code, object, properties) {
+  const closeAt = object.end - 1;
+  const last = object.properties[object.properties.length - 1];
+  const closeLineStart = lineStart(code, closeAt);
+  const closingIndent = code.slice(closeLineStart).match(/^[ \t]*/)[0];
+  const multiline = code.slice(closeLineStart, closeAt).trim() === "";
+  const outerIndent = multiline
+    ? closingIndent
+    : code.slice(lineStart(code, object.start)).match(/^[ \t]*/)[0];
+  const indent = outerIndent + "  ";
+
+  const block = properties
+    .map((property) =>
+      property
+        .split("\n")
+        .map((line) => indent + line)
+        .join("\n"),
+    )
+    .join(",\n");
+
+  // Everything up to the last entry, with a comma after it
+  const afterLast = last ? last.end : object.start + 1;
+  const needsComma =
+    last && !code.slice(last.end, closeAt).trimStart().startsWith(",");
+  const head = code.slice(0, afterLast) + (needsComma ? "," : "");
+
+  if (multiline) {
+    return `${head}${code.slice(afterLast, closeLineStart)}${block},\n${code.slice(closeLineStart)}`;
+  }
+  return `${head}\n${block},\n${outerIndent}${code.slice(closeAt)}`;
+}
+
+function entryKey(entry) {
+  return entry
+    .split(":")[0]
+    .trim()
+    .replace(/^(["'])(.*)\1$/, "$2");
+}
+
+/**
+ * Add entries (`createItemSchema` or `Pet: petSchema`) to the object literal
+ * under `property`, e.g. the `schemas: { ... }` of a swagger config. When
+ * the property doesn't exist yet it is added to the default-exported object.
+ * Entries whose key is already listed are skipped.
+ */
+function addObjectEntries(code, language, { property, entries }) {
+  const ast = parseSource(code, language);
+
+  let target = null;
+  walk(ast.program, (node) => {
+    if (
+      !target &&
+      propertyName(node) === property &&
+      node.value.type === "ObjectExpression"
+    ) {
+      target = node.value;
+    }
+  });
+
+  if (target) {
+    const existing = new Set(target.properties.map(propertyName));
+    const added = entries.filter((entry) => !existing.has(entryKey(entry)));
+    if (added.length === 0) return { code, added, anchorFound: true };
+    return {
+      code: appendProperties(code, target, added),
+      added,
+      anchorFound: true,
+    };
+  }
+
+  const config = findDefaultExportObject(ast);
+  if (!config) return { code, added: [], anchorFound: false };
+
+  const block = [`${property}: {`, ...entries.map((e) => `  ${e},`), "}"];
+  return {
+    code: appendProperties(code, config, [block.join("\n")]),
+    added: entries,
+    anchorFound: true,
+  };
+}
+
+const SKIPPED_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+]);
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+]);
+
+/**
+ * Visit every node below `node`, passing the chain of ancestors
+ */
+function walk(node, visit, ancestors = []) {
+  visit(node, ancestors);
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const value = node[key];
+    const children = Array.isArray(value) ? value : [value];
+
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        walk(child, visit, [...ancestors, { node, key }]);
+      }
+    }
+  }
+}
+
+/**
+ * Whether an identifier is a variable reference rather than a property name
+ */
+function isReference(ancestors) {
+  const { node: parent, key } = ancestors[ancestors.length - 1] || {};
+  // A lone identifier, e.g. the `x` of `const x = ...`
+  if (!parent) return true;
+
+  if (
+    (parent.type === "MemberExpression" ||
+      parent.type === "OptionalMemberExpression") &&
+    key === "property"
+  ) {
+    return parent.computed;
+  }
+
+  if (
+    (parent.type === "ObjectProperty" ||
+      parent.type === "ObjectMethod" ||
+      parent.type === "ClassProperty" ||
+      parent.type === "ClassMethod") &&
+    key === "key"
+  ) {
+    return parent.computed;
+  }
+
+  return true;
+}
+
+/**
+ * Names declared by a variable declaration, including destructured ones
+ */
+function declaredNames(declaration) {
+  const names = [];
+
+  for (const declarator of declaration.declarations) {
+    walk(declarator.id, (node, ancestors) => {
+      if (node.type === "Identifier" && isReference(ancestors)) {
+        names.push(node.name);
+      }
+    });
+  }
+
+  return names;
+}
+
+/**
+ * If a hit is a whole element of an object or array literal (or the value of
+ * an object property), return that element so it can be dropped on its own
+ */
+function listElementOf(hit, ancestors) {
+  const { node: parent, key } = ancestors[ancestors.length - 1];
+
+  if (parent.type === "ArrayExpression" && key === "elements") {
+    return { element: hit, list: parent.elements };
+  }
+
+  if (parent.type === "ObjectProperty" && key === "value") {
+    const { node: object } = ancestors[ancestors.length - 2];
+    return { element: parent, list: object.properties };
+  }
+
+  return null;
+}
+
+/**
+ * Find the places in a top-level statement that use something the module
+ * provides: references to removed bindings or strings pointing into it
+ */
+function findHits(statement, removedBindings, matchesMarker) {
+  const hits = [];
+
+  walk(statement, (node, ancestors) => {
+    const isHit =
+      (node.type === "Identifier" &&
+        removedBindings.has(node.name) &&
+        isReference(ancestors)) ||
+      (node.type === "StringLiteral" && matchesMarker(node.value));
+
+    if (!isHit) return;
+
+    hits.push({
+      node,
+      ancestors,
+      inFunction: ancestors.some(({ node: a }) => FUNCTION_TYPES.has(a.type)),
+      inType: ancestors.some(({ node: a }) => a.type.startsWith("TS")),
+    });
+  });
+
+  return hits;
+}
+
+function statementRange(code, node) {
+  const comments = node.leadingComments || [];
+  let start = node.start;
+
+  // Take the comment block sitting directly on top of the statement with it
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const between = code.slice(comments[i].end, start);
+    if (/\n\s*\n/.test(between)) break;
+    start = comments[i].start;
+  }
+
+  const startOfLine = lineStart(code, start);
+  if (code.slice(startOfLine, start).trim() === "") start = startOfLine;
+
+  let end = node.end;
+  const endOfLine = lineEnd(code, end);
+  if (code.slice(end, endOfLine).trim() === "") end = endOfLine;
+
+  return [start, end];
+}
+
+function elementRange(code, element, list) {
+  let start = element.start;
+  let end = element.end;
+
+  const afterComma = code.slice(end).match(/^\s*,[ \t]*/);
+  if (afterComma) {
+    end += afterComma[0].length;
+  } else {
+    const index = list.indexOf(element);
+    if (index > 0) start = list[index - 1].end;
+  }
+
+  const startOfLine = lineStart(code, start);
+  if (code.slice(startOfLine, start).trim() === "") start = startOfLine;
+
+  const endOfLine = lineEnd(code, end);
+  if (code.slice(end, endOfLine).trim() === "") end = endOfLine;
+
+  return [start, end];
+}
+
+function applyRemovals(code, ranges) {
+  const merged = [];
+
+  for (const range of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  let result = code;
+  for (const [start, end] of merged.reverse()) {
+    result = result.slice(0, start) + result.slice(end);
+  }
+
+  return result.replace(/\n{3,}/g, "\n\n");
+}
+
+function firstLine(code, node) {
+  return code.slice(node.start, node.end).split("\n")[0].trim();
+}
+
+/**
+ * Remove everything a module contributed to a file: imports whose specifier
+ * matches one of `markers`, and the top-level statements (or object/array
+ * entries) that use what those imports provided.
+ *
+ * Statements are only removed when it's unambiguous. When a reference sits
+ * inside a function, a type annotation, or a declaration we can't drop as a
+ * whole, nothing is written and the places are returned in `unsafe` so the
+ * user can fix them by hand: once per import or declaration that is still
+ * used, with the lines using it in `usedOn`, and once per string pointing
+ * into the module.
+ */
+function removeModuleReferences(code, language, markers) {
+  const matchesMarker = (value) =>
+    markers.some((marker) => value.includes(marker));
+
+  const ast = parseSource(code, language);
+  const body = ast.program.body;
+  const removedStatements = new Set();
+  const removedBindings = new Set();
+  // Which removed statement declared each removed binding
+  const bindingSources = new Map();
+
+  for (const statement of body) {
+    const isModuleImport =
+      (statement.type === "ImportDeclaration" ||
+        statement.type === "ExportNamedDeclaration" ||
+        statement.type === "ExportAllDeclaration") &&
+      statement.source &&
+      matchesMarker(statement.source.value);
+
+    if (!isModuleImport) continue;
+
+    removedStatements.add(statement);
+    for (const specifier of statement.specifiers || []) {
+      if (!specifier.local) continue;
+      removedBindings.add(specifier.local.name);
+      bindingSources.set(specifier.local.name, statement);
+    }
+  }
+
+  // Dropping a declaration can make later statements stale too, so repeat
+  // until nothing else needs to go
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    for (const statement of body) {
+      if (removedStatements.has(statement)) continue;
+
+      const hits = findHits(statement, removedBindings, matchesMarker).filter(
+        (hit) => !listElementOf(hit.node, hit.ancestors),
+      );
+      if (hits.length === 0) continue;
+
+      const removable =
+        ["ExpressionStatement", "VariableDeclaration", "IfStatement"].includes(
+          statement.type,
+        ) && hits.every((hit) => !hit.inFunction && !hit.inType);
+
+      if (removable) {
+        removedStatements.add(statement);
+        if (statement.type === "VariableDeclaration") {
+          for (const name of declaredNames(statement)) {
+            removedBindings.add(name);
+            bindingSources.set(name, statement);
+          }
+        }
+        changed = true;
+      }
+    }
+  }
+
+  const ranges = [];
+  const removed = [];
+  const unsafe = [];
+  const stillUsed = new Map();
+
+  for (const statement of body) {
+    if (removedStatements.has(statement)) {
+      ranges.push(statementRange(code, statement));
+      removed.push(firstLine(code, statement));
+      continue;
+    }
+
+    for (const hit of findHits(statement, removedBindings, matchesMarker)) {
+      const listElement = listElementOf(hit.node, hit.ancestors);
+
+      if (listElement && !hit.inType) {
+        ranges.push(elementRange(code, listElement.element, listElement.list));
+        removed.push(firstLine(code, listElement.element));
+      } else if (hit.node.type === "Identifier") {
+        const source = bindingSources.get(hit.node.name);
+        if (!stillUsed.has(source)) {
+          stillUsed.set(source, {
+            line: source.loc.start.line,
+            code: firstLine(code, source),
+            name: hit.node.name,
+            usedOn: [],
+          });
+        }
+        stillUsed.get(source).usedOn.push(hit.node.loc.start.line);
+      } else {
+        const line = hit.node.loc.start.line;
+        unsafe.push({
+          line,
+          code: code.split("\n")[line - 1].trim(),
+          name: hit.node.value,
+        });
+      }
+    }
+  }
+  unsafe.unshift(...stillUsed.values());
+
+  if (unsafe.length > 0) {
+    return { code, removed: [], unsafe };
+  }
+
+  return { code: applyRemovals(code, ranges), removed, unsafe };
+}
+
+module.exports = {
+  parseSource,
+  normalizeCode,
+  addImports,
+  insertStatements,
+  addObjectEntries,
+  removeModuleReferences,
+};
@@ -0,0 +1,923 @@
+const path = require("path");
+const fs = require("fs");
+
+const {
+  getUserAgentPackageManager,
+  getInstallCommand,
+  tryInstallDependencies,
+} = require("./pkgManager");
+const { readJson, writeJson } = require("./packageJson");
+const {
+  DEFAULT_DATABASE,
+  getTemplateDir,
+  listModules,
+  getDatabase,
+  getDatabasePrompt,
+  validateSelection,
+  detectTemplateLanguage,
+  validateTemplate,
+} = require("./modules");
+const {
+  toPromptQuestion,
+  resolveModuleOptions,
+  applyModuleAnswers,
+  getModuleEnv,
+  installModule,
+  installDatabase,
+} = require("./moduleInstaller");
+const { renderFiles, getRenderContext } = require("./templateRenderer");
+const { planProject, listTemplateFiles } = require("./dryRun");
+const { createReporter } = require("./reporter");
+const { createStaging } = require("./staging");
+const { LOCKFILE, writeLockfile } = require("./lockfile");
+const { DOCKER_PROMPT, writeDockerFiles } = require("./docker");
+const { ENV_FILES_PROMPT, writeEnvironmentFiles } = require("./envFile");
+const { README_FILE, getSetupSteps, writeReadme } = require("./readme");
+const {
+  findWorkspaceRoot,
+  addToWorkspace,
+  shareTsconfig,
+  describeWorkspaceChanges,
+} = require("./workspace");
+const {
+  validatePackageName,
+  resolveProjectTarget,
+  canScaffoldInto,
+} = require("./projectName");
+const {
+  PACKAGES_DIR,
+  LOCAL_PACKAGES_DIR,
+  getLocalPackages,
+  useLocalPackages,
+  packLocalPackages,
+} = require("./localPackages");
+const {
+  LANGUAGES,
+  LANGUAGE_PROMPT,
+  validatePreset,
+  getModuleFlagAnswers,
+  resolveAnswers,
+} = require("./cliOptions");
+const { loadPreset } = require("./presets");
+const {
+  loadOpenApiSpec,
+  planOpenApiModules,
+  writeOpenApiModules,
+} = require("./openapi");
+const {
+  InvalidOptionsError,
+  InvalidTemplateError,
+  ProjectExistsError,
+  CreateProjectError,
+  CancelledError,
+} = require("./errors");
+
+function copyDirRecursive(
+  src,
+  dest,
+  excludeFiles = [],
+  excludeDirs = [],
+  excludePaths = [],
+  debug = () => {},
+) {
+  if (!fs.existsSync(src)) return;
+
+  if (!fs.existsSync(dest)) {
+    fs.mkdirSync(dest, { recursive: true });
+  }
+
+  const entries = fs.readdirSync(src, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+
+    // Skip files and folders owned by optional modules
+    if (excludePaths.includes(srcPath)) {
+      continue;
+    }
+
+    // Skip excluded files
+    if (excludeFiles.includes(entry.name)) {
+      debug(`Skipping excluded file: ${entry.name}`);
+      continue;
+    }
+
+    // Skip .tgz files (tarball packages)
+    if (entry.name.endsWith(".tgz")) {
+      debug(`Skipping tarball: ${entry.name}`);
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      // Skip excluded directories
+      if (excludeDirs.includes(entry.name)) {
+        debug(`Skipping excluded directory: ${entry.name}`);
+        continue;
+      }
+      copyDirRecursive(
+        srcPath,
+        destPath,
+        excludeFiles,
+        excludeDirs,
+        excludePaths,
+        debug,
+      );
+    } else {
+      fs.copyFileSync(srcPath, destPath);
+    }
+  }
+}
+
+function toPosixPath(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Create a Charcole project. The options mirror the CLI flags:
+ *
+ * - `projectName` — an npm package name, optionally scoped, or `.` for `cwd`
+ * - `language` (`ts` | `js`), `database`, `template`
+ * - `modules` — flag-style module answers, e.g. `{ auth: true, payments: "stripe" }`
+ * - `preset` — answers in preset format, or the name of a preset, overridden
+ *   by the options above
+ * - `docker`, `envFiles`, `pm`, `skipInstall`, `skipGit`, `dryRun`
+ * - `workspace` — add the project to the enclosing pnpm/npm/yarn workspace
+ *   and install from its root
+ * - `localPackages` — use builds of packages/* from this repo instead of the
+ *   published `@charcoles/*` packages
+ * - `openapi` — an OpenAPI 3 document (YAML or JSON) to generate a module
+ *   per tag from
+ * - `cwd` — where the project folder is created (default: `process.cwd()`)
+ * - `interactive` — ask for anything not given instead of using defaults
+ * - `reporter` — where progress goes (default: nowhere)
+ *
+ * Resolves with a summary of the project, or of the plan with `dryRun`. The
+ * summary's `answers` are in preset format, ready to be saved as a preset.
+ * Throws a CharcoleError subclass when the options can't be used or a step
+ * fails; in the latter case nothing is left on disk. A failed install is
+ * only a warning: the project is kept and `installed` is false.
+ */
+async function createProject({
+  projectName: projectNameOption,
+  language: languageOption,
+  database: databaseOption,
+  template,
+  modules: moduleFlags = {},
+  preset = {},
+  docker,
+  envFiles: envFilesOption,
+  pm,
+  skipInstall = false,
+  skipGit = false,
+  dryRun = false,
+  localPackages = false,
+  workspace = false,
+  openapi,
+  cwd = process.cwd(),
+  interactive = false,
+  reporter = createReporter("silent"),
+} = {}) {
+  const templateOption = template ? path.resolve(cwd, template) : null;
+
+  if (localPackages && !fs.existsSync(PACKAGES_DIR)) {
+    throw new InvalidOptionsError(
+      `--local-packages needs a checkout of the Charcole repo (no packages folder at ${PACKAGES_DIR})`,
+    );
+  }
+  const useDefaults = !interactive;
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    reporter.warn(message);
+  };
+
+  // A custom template is checked up front so its problems show before any
+  // questions are asked
+  if (templateOption) {
+    const templateProblems = validateTemplate(templateOption);
+    if (templateProblems.length > 0) {
+      throw new InvalidTemplateError(templateOption, templateProblems);
+    }
+  }
+
+  // Read before any questions so a broken document fails fast
+  let openApiSpec = null;
+  if (openapi) {
+    try {
+      openApiSpec = loadOpenApiSpec(path.resolve(cwd, openapi));
+    } catch (err) {
+      throw new InvalidOptionsError(err.message);
+    }
+  }
+
+  if (typeof preset === "string") {
+    try {
+      preset = loadPreset(preset);
+    } catch (err) {
+      throw new InvalidOptionsError(err.message);
+    }
+  }
+
+  const presetProblems = validatePreset(preset, {
+    templateDir: templateOption,
+  });
+  if (presetProblems.length > 0) {
+    throw new InvalidOptionsError("Invalid preset:", presetProblems);
+  }
+
+  // Options win over the preset; anything still missing is asked for, or
+  // defaulted when not interactive
+  const known = { ...preset };
+  if (projectNameOption) known.projectName = projectNameOption;
+  if (languageOption) known.language = languageOption;
+
+  // A custom template's language is fixed by its files
+  if (templateOption) {
+    const templateLanguage = detectTemplateLanguage(templateOption);
+    if (known.language && known.language !== templateLanguage) {
+      throw new InvalidOptionsError(
+        `The template at ${templateOption} is ${templateLanguage}, not ${known.language}`,
+      );
+    }
+    known.language = templateLanguage;
+    reporter.info(`📂 Using template ${templateOption}`);
+  }
+
+  const responses = await resolveAnswers(
+    [
+      {
+        type: "text",
+        name: "projectName",
+        message: "Project name:",
+        validate: (name) => {
+          if (!name) return "Project name is required";
+          if (name === ".") return true;
+          const problems = validatePackageName(name);
+          return problems.length > 0 ? `Invalid name: ${problems[0]}` : true;
+        },
+      },
+      LANGUAGE_PROMPT,
+    ],
+    known,
+    { useDefaults },
+  );
+
+  const { language } = responses;
+
+  if (!responses.projectName || responses.projectName.trim() === "") {
+    throw new InvalidOptionsError("Project name is required");
+  }
+
+  if (!LANGUAGES.includes(language)) {
+    throw new InvalidOptionsError(
+      `Language must be one of ${LANGUAGES.join(", ")}`,
+    );
+  }
+
+  // `.` uses the current folder and its name; a scoped name gets a folder
+  // named after the part after the scope
+  const {
+    packageName: projectName,
+    folder,
+    dir: targetDir,
+  } = resolveProjectTarget(responses.projectName, cwd);
+
+  const nameProblems = validatePackageName(projectName);
+  if (nameProblems.length > 0) {
+    throw new InvalidOptionsError(
+      folder === "."
+        ? `The folder name "${projectName}" isn't a valid npm package name — rename the folder first:`
+        : `"${projectName}" isn't a valid npm package name:`,
+      nameProblems,
+    );
+  }
+
+  if (!canScaffoldInto(targetDir)) {
+    throw new ProjectExistsError(folder, targetDir);
+  }
+
+  // A git repository that's already there is left for the user to commit to
+  const hasGit = fs.existsSync(path.join(targetDir, ".git"));
+
+  const enclosingWorkspace = findWorkspaceRoot(path.dirname(targetDir));
+  const workspaceInfo = workspace ? enclosingWorkspace : null;
+  if (workspace && !workspaceInfo) {
+    throw new InvalidOptionsError(
+      `--workspace needs a workspace above ${targetDir}: a pnpm-workspace.yaml or a package.json with "workspaces"`,
+    );
+  }
+  if (workspaceInfo && pm && pm !== workspaceInfo.pm) {
+    throw new InvalidOptionsError(
+      `The workspace at ${workspaceInfo.root} uses ${workspaceInfo.pm}, not ${pm}`,
+    );
+  }
+  if (!workspace && enclosingWorkspace) {
+    warn(
+      `${targetDir} is inside the workspace at ${enclosingWorkspace.root} — pass --workspace to add it to the workspace`,
+    );
+  }
+
+  const templateDir = templateOption || getTemplateDir(language);
+
+  let openApiPlan = null;
+  if (openApiSpec) {
+    try {
+      openApiPlan = planOpenApiModules(
+        openApiSpec,
+        language,
+        path.basename(openapi),
+      );
+    } catch (err) {
+      throw new InvalidOptionsError(
+        `Can't generate routes from ${openapi}: ${err.message}`,
+      );
+    }
+  }
+
+  // Database variants come from <template>/databases. A custom template
+  // may leave that folder out, and then there's nothing to choose.
+  const databasePrompt = getDatabasePrompt(language, templateDir);
+  if (databaseOption) known.database = databaseOption;
+
+  const databaseNames = databasePrompt.choices.map((choice) => choice.value);
+  if (known.database && !databaseNames.includes(known.database)) {
+    throw new InvalidOptionsError(
+      databaseNames.length > 0
+        ? `--database must be one of ${databaseNames.join(", ")} (got "${known.database}")`
+        : "--database can't be used with a template that has no databases folder",
+    );
+  }
+
+  let database = null;
+  if (databaseNames.length > 0) {
+    const { database: databaseName } = await resolveAnswers(
+      [databasePrompt],
+      { database: known.database },
+      { useDefaults },
+    );
+    database = getDatabase(databaseName, language, templateDir);
+
+    if (!database) {
+      throw new InvalidOptionsError("Database is required");
+    }
+  }
+
+  // Optional modules come from the module.json manifests in the template
+  const modules = listModules(language, templateDir);
+  let flagAnswers;
+
+  try {
+    flagAnswers = getModuleFlagAnswers(moduleFlags, modules);
+  } catch (err) {
+    throw new InvalidOptionsError(err.message);
+  }
+
+  const moduleAnswers = await resolveAnswers(
+    modules.flatMap((mod) => [
+      mod.prompt,
+      ...mod.options.map((option) => ({
+        ...toPromptQuestion(option),
+        type: (prev, values) => (values[mod.prompt.name] ? option.type : null),
+      })),
+    ]),
+    { ...preset, ...flagAnswers },
+    { useDefaults },
+  );
+
+  const selectedModules = modules.filter(
+    (mod) => moduleAnswers[mod.prompt.name],
+  );
+
+  const problems = validateSelection(selectedModules);
+  if (problems.length > 0) {
+    throw new InvalidOptionsError(
+      `Invalid module selection: ${problems.join("; ")}`,
+      problems,
+    );
+  }
+
+  // Only offered when the template ships Docker files
+  const { docker: containerize } = fs.existsSync(
+    path.join(templateDir, "docker"),
+  )
+    ? await resolveAnswers(
+        [DOCKER_PROMPT],
+        { docker: docker ?? preset.docker },
+        { useDefaults },
+      )
+    : { docker: false };
+
+  const { envFiles } = await resolveAnswers(
+    [ENV_FILES_PROMPT],
+    { envFiles: envFilesOption ?? preset.envFiles },
+    { useDefaults },
+  );
+
+  // Lockfiles around the new folder belong to some other project, so outside
+  // a workspace only --pm and the package manager that ran the CLI count
+  const pkgManager =
+    pm ||
+    (workspaceInfo ? workspaceInfo.pm : getUserAgentPackageManager() || "npm");
+
+  const basePkgPath = path.join(templateDir, "basePackage.json");
+  if (!fs.existsSync(basePkgPath)) {
+    throw new InvalidTemplateError(templateDir, [
+      `basePackage.json not found at ${basePkgPath}`,
+    ]);
+  }
+
+  const basePkg = { ...readJson(basePkgPath), name: projectName };
+
+  // Everything an optional module owns is left out of the base copy and
+  // added back by installModule for the modules that were selected
+  const baseCopy = {
+    excludeFiles: [
+      "basePackage.json",
+      "package.json",
+      "package-lock.json",
+      ".env",
+    ],
+    excludeDirs: ["node_modules"],
+    excludePaths: [
+      path.join(templateDir, "databases"),
+      path.join(templateDir, "docker"),
+      // Written once the project is complete, see writeReadme
+      path.join(templateDir, README_FILE),
+      ...modules.flatMap((mod) => [
+        mod.templateDir,
+        ...[mod.dir, ...mod.files]
+          .filter(Boolean)
+          .map((relativePath) => path.join(templateDir, relativePath)),
+      ]),
+    ],
+  };
+
+  if (dryRun) {
+    const plan = planProject({
+      projectName,
+      language,
+      templateDir,
+      basePkg,
+      database,
+      modules,
+      selectedModules,
+      moduleAnswers,
+      containerize,
+      envFiles,
+      baseCopy,
+      pkgManager,
+      skipGit: skipGit || hasGit || Boolean(workspaceInfo),
+      skipInstall,
+      localPackages,
+      openApiPlan,
+      workspace: workspaceInfo && {
+        root: workspaceInfo.root,
+        steps: describeWorkspaceChanges(workspaceInfo, targetDir, language),
+      },
+    });
+
+    return {
+      dryRun: true,
+      projectName,
+      projectDir: targetDir,
+      language,
+      database: database && database.name,
+      modules: selectedModules.map((mod) => mod.name),
+      files: plan.files.map(toPosixPath),
+      packageJson: plan.pkg,
+      dependencies: plan.pkg.dependencies || {},
+      devDependencies: plan.pkg.devDependencies || {},
+      env: plan.env,
+      steps: plan.steps,
+    };
+  }
+
+  reporter.info(
+    `\n📁 Creating project "${projectName}" in ${language.toUpperCase()}...`,
+  );
+
+  // Everything is built in a staging folder and moved into place at the end
+  const staging = createStaging(targetDir);
+  const projectDir = staging.dir;
+  reporter.debug("✓ Loaded base package configuration");
+
+  const hasReadme = fs.existsSync(path.join(templateDir, README_FILE));
+
+  // Each step is recorded for the failure summary and shown as progress
+  reporter.setTotalSteps(
+    [
+      true, // copy
+      true, // render
+      true, // .env
+      database,
+      ...selectedModules,
+      localPackages,
+      envFiles,
+      containerize,
+      true, // package.json
+      hasReadme,
+      true, // lockfile
+      openApiPlan,
+      !skipGit && !hasGit && !workspaceInfo,
+      workspaceInfo,
+      !skipInstall,
+    ].filter(Boolean).length,
+  );
+  const step = (title) => {
+    staging.step(title);
+    reporter.step(title);
+  };
+
+  const tarballs = [];
+  const manualSteps = [];
+  let setupSteps;
+  let mergedPkg;
+  let placed;
+  let lockAnswers;
+  let installError = null;
+  // The package manager's output would break the JSON and quiet modes
+  const installStdio =
+    reporter.mode === "normal" || reporter.mode === "verbose"
+      ? "inherit"
+      : "pipe";
+  const warnInstallFailed = (command) =>
+    warn(
+      `Couldn't install dependencies (${installError}). The project was kept — run \`${command}\` once the problem is fixed.`,
+    );
+
+  try {
+    const project = {
+      dir: projectDir,
+      pkg: basePkg,
+      language,
+      templateDir,
+      // Without variants the template keeps its in-memory repositories
+      database: database ? database.name : DEFAULT_DATABASE,
+      modules: Object.fromEntries(
+        modules.map((mod) => [mod.name, selectedModules.includes(mod)]),
+      ),
+    };
+
+    step("Copying the base template");
+    copyDirRecursive(
+      templateDir,
+      projectDir,
+      baseCopy.excludeFiles,
+      baseCopy.excludeDirs,
+      baseCopy.excludePaths,
+      reporter.debug,
+    );
+    reporter.info("✓ Copied the base template");
+
+    // Fill in `{{variables}}` and drop `@if` regions for modules not selected
+    step("Rendering templates");
+    renderFiles([projectDir], getRenderContext(project));
+    reporter.info("✓ Rendered templates for the selected modules");
+
+    // Create .env from .env.example and ensure APP_NAME default exists
+    step("Creating .env");
+    try {
+      const exampleEnvPath = path.join(projectDir, ".env.example");
+      const envPath = path.join(projectDir, ".env");
+
+      if (fs.existsSync(exampleEnvPath) && !fs.existsSync(envPath)) {
+        let exampleContent = fs.readFileSync(exampleEnvPath, "utf-8");
+
+        if (!/APP_NAME\s*=/.test(exampleContent)) {
+          exampleContent = `APP_NAME=CHARCOLE API\n` + exampleContent;
+        }
+
+        fs.writeFileSync(envPath, exampleContent, "utf-8");
+        reporter.info("✓ Created .env from .env.example with default APP_NAME");
+      }
+    } catch (err) {
+      warn(`Failed to create .env automatically: ${err.message}`);
+    }
+
+    // Swap the in-memory repositories for the chosen database's
+    if (database) {
+      step(`Setting up the ${database.title} database`);
+      const databaseResult = installDatabase(project, database);
+      project.pkg = databaseResult.pkg;
+      reporter.info(`🗄️  Using ${database.description}`);
+      if (databaseResult.dependencies.length > 0) {
+        reporter.info(
+          `✓ Merged dependencies: ${databaseResult.dependencies.join(", ")}`,
+        );
+      }
+      if (databaseResult.copied.length > 0) {
+        reporter.info(`✓ Copied ${databaseResult.copied.length} file(s)`);
+      }
+    }
+
+    // The answers that produced this project, in preset format
+    lockAnswers = database ? { database: database.name } : {};
+
+    for (const mod of modules) {
+      lockAnswers[mod.prompt.name] = Boolean(moduleAnswers[mod.prompt.name]);
+
+      if (!moduleAnswers[mod.prompt.name]) {
+        reporter.debug(`⏭️  Skipping ${mod.name} module (not selected)`);
+        continue;
+      }
+
+      step(`Adding the ${mod.name} module`);
+      reporter.info(`📦 Adding ${mod.description}...`);
+
+      const answers = resolveModuleOptions(mod, moduleAnswers);
+      const result = installModule(project, mod, answers);
+      Object.assign(lockAnswers, answers);
+
+      project.pkg = result.pkg;
+      tarballs.push(...result.tarballs);
+      manualSteps.push(...result.manualSteps);
+      result.warnings.forEach((warning) => reporter.warn(warning));
+
+      if (result.dependencies.length > 0) {
+        reporter.info(
+          `✓ Merged dependencies: ${result.dependencies.join(", ")}`,
+        );
+      }
+      reporter.info(`✓ Copied ${result.copied.length} file(s)`);
+      for (const file of result.updated) {
+        reporter.info(`✓ Wired into ${file}`);
+      }
+    }
+
+    const moduleEnvs = selectedModules
+      .map((mod) => getModuleEnv(mod, moduleAnswers))
+      .filter(Boolean);
+    const secretKeys = moduleEnvs.flatMap((env) =>
+      env.vars.filter((v) => v.secret).map((v) => v.key),
+    );
+    if (secretKeys.length > 0) {
+      reporter.info(`🔑 Generated random values for ${secretKeys.join(", ")}`);
+    }
+
+    // Builds of packages/* replace the published @charcoles/* packages
+    if (localPackages) {
+      step("Packing local packages");
+      const packages = getLocalPackages(project.pkg);
+      packLocalPackages(projectDir, packages);
+      project.pkg = useLocalPackages(project.pkg, packages);
+      project.localPackages = true;
+      reporter.info(
+        packages.length > 0
+          ? `📦 Packed ${packages.map((local) => `${local.name}@${local.version}`).join(", ")} into ${LOCAL_PACKAGES_DIR}/`
+          : "ℹ️  None of the selected modules use a local package",
+      );
+    }
+
+    lockAnswers.envFiles = Boolean(envFiles);
+
+    if (envFiles) {
+      step("Writing per-environment env files");
+      const written = writeEnvironmentFiles(projectDir, moduleEnvs);
+      reporter.info(`✓ Wrote ${written.join(", ")}`);
+    }
+
+    lockAnswers.docker = Boolean(containerize);
+
+    if (containerize) {
+      step("Writing Docker files");
+      const written = writeDockerFiles(project, {
+        database,
+        modules: selectedModules.map((mod) =>
+          applyModuleAnswers(mod, moduleAnswers),
+        ),
+        answers: moduleAnswers,
+        pkgManager,
+      });
+      reporter.info(`🐳 Wrote ${written.join(", ")}`);
+    }
+
+    mergedPkg = project.pkg;
+
+    step("Writing package.json");
+    writeJson(path.join(projectDir, "package.json"), mergedPkg);
+    reporter.info(`📝 Created ${folder}/package.json`);
+
+    reporter.debug("📦 Final package.json dependencies:");
+    reporter.debug(
+      `  dependencies: ${Object.keys(mergedPkg.dependencies || {}).join(", ")}`,
+    );
+    reporter.debug(
+      `  devDependencies: ${Object.keys(mergedPkg.devDependencies || {}).join(", ")}`,
+    );
+
+    // Lists what the project ended up with, so it's written last. Before
+    // the lockfile, as upgrades can write it again from the same answers.
+    const readme = {
+      answers: lockAnswers,
+      pkgManager,
+      database,
+      modules: selectedModules,
+    };
+    if (hasReadme) {
+      step(`Writing ${README_FILE}`);
+      writeReadme(project, readme);
+      reporter.info(`✓ Wrote ${README_FILE} for the selected modules`);
+    }
+    setupSteps = getSetupSteps(
+      getRenderContext({ ...project, answers: lockAnswers }),
+      { pkgManager, database },
+    );
+
+    // Record how the project was made so `upgrade` can merge template updates
+    step(`Writing ${LOCKFILE}`);
+    writeLockfile(projectDir, {
+      projectName,
+      language,
+      template: templateOption,
+      answers: lockAnswers,
+    });
+    reporter.info(`✓ Recorded the answers in ${LOCKFILE} for upgrades`);
+
+    // Written after the lockfile, like code added with `generate`, so
+    // upgrades treat them as the project's own
+    if (openApiPlan) {
+      step(`Generating modules from ${openApiPlan.source}`);
+      const result = writeOpenApiModules(project, openApiPlan);
+      manualSteps.push(...result.manualSteps);
+      reporter.info(
+        `🧱 Generated ${openApiPlan.modules.map((mod) => mod.name).join(", ")} from ${openApiPlan.source}`,
+      );
+      for (const file of result.updated) {
+        reporter.info(`✓ Wired into ${file}`);
+      }
+      if (hasReadme) {
+        writeReadme(project, readme);
+        reporter.info(`✓ Listed the new routes in ${README_FILE}`);
+      }
+    }
+
+    // Initialize git repository to make project git-friendly
+    if (skipGit) {
+      reporter.debug("⏭️  Skipping git initialization (--skip-git)");
+    } else if (hasGit) {
+      reporter.info("ℹ️  Using the existing git repository");
+    } else if (workspaceInfo) {
+      reporter.debug("⏭️  Skipping git initialization (part of the workspace)");
+    } else {
+      step("Initializing git");
+      try {
+        const { execSync } = require("child_process");
+
+        execSync("git --version", { stdio: "ignore" });
+        execSync("git init", { cwd: projectDir, stdio: "ignore" });
+
+        // Ensure .gitignore exists (copy from template if missing)
+        const gitignoreSrc = path.join(templateDir, ".gitignore");
+        const gitignoreDest = path.join(projectDir, ".gitignore");
+        if (!fs.existsSync(gitignoreDest) && fs.existsSync(gitignoreSrc)) {
+          fs.copyFileSync(gitignoreSrc, gitignoreDest);
+        }
+
+        // Stage files and attempt initial commit; ignore commit errors (e.g., missing git user config)
+        try {
+          execSync("git add .", { cwd: projectDir, stdio: "ignore" });
+          execSync('git commit -m "chore: initial commit from Charcole"', {
+            cwd: projectDir,
+            stdio: "ignore",
+          });
+          reporter.info(
+            "✓ Initialized git repository and created initial commit",
+          );
+        } catch (commitErr) {
+          warn(
+            "Initialized git repository but skipped the initial commit — configure a git user to enable commits",
+          );
+        }
+      } catch (gitErr) {
+        warn("Git not available; skipped repository initialization");
+      }
+    }
+
+    if (skipInstall) {
+      // Module tarballs stay in place for the install the user runs later
+      reporter.debug("⏭️  Skipping dependency installation (--skip-install)");
+    } else if (workspaceInfo) {
+      // Installed from the workspace root once the project is in place
+    } else {
+      step("Installing dependencies");
+      reporter.info(`📦 Installing dependencies using ${pkgManager}...`);
+      installError = tryInstallDependencies(projectDir, pkgManager, {
+        stdio: installStdio,
+      });
+
+      if (installError) {
+        // Module tarballs stay in place for the install the user runs later
+        warnInstallFailed(
+          folder === "."
+            ? getInstallCommand(pkgManager)
+            : `cd ${folder} && ${getInstallCommand(pkgManager)}`,
+        );
+      } else {
+        // Clean up the module tarballs after installation
+        for (const tarball of tarballs) {
+          if (fs.existsSync(tarball)) fs.unlinkSync(tarball);
+        }
+      }
+    }
+
+    placed = staging.commit();
+  } catch (err) {
+    const { completed, failed } = staging.summary();
+    staging.rollback();
+
+    if (err instanceof CancelledError) throw err;
+    // Ctrl+C during the install reaches the package manager first
+    if (err.signal === "SIGINT") throw new CancelledError(failed);
+    throw new CreateProjectError(err, { completed, failed });
+  }
+
+  // The workspace root can only install the project once it's in place, so
+  // these steps undo their own changes and take the project out on failure.
+  // Only a failed install keeps everything, as it does outside a workspace.
+  if (workspaceInfo) {
+    const { completed } = staging.summary();
+    const undo = [];
+    let current = null;
+    const workspaceStep = (title) => {
+      if (current) completed.push(current);
+      current = title;
+      reporter.step(title);
+    };
+
+    try {
+      workspaceStep("Adding the project to the workspace");
+      const restoreConfig = addToWorkspace(workspaceInfo, targetDir);
+      if (restoreConfig) {
+        undo.push(restoreConfig);
+        reporter.info(`✓ Added ${folder} to ${workspaceInfo.configFile}`);
+      }
+      if (language === "ts") {
+        const removeBase = shareTsconfig(workspaceInfo, targetDir);
+        if (removeBase) undo.push(removeBase);
+        reporter.info(
+          "✓ tsconfig.json extends the workspace's tsconfig.base.json",
+        );
+      }
+
+      if (!skipInstall) {
+        workspaceStep("Installing dependencies from the workspace root");
+        reporter.info(
+          `📦 Installing dependencies using ${pkgManager} in ${workspaceInfo.root}...`,
+        );
+        installError = tryInstallDependencies(workspaceInfo.root, pkgManager, {
+          stdio: installStdio,
+        });
+
+        if (installError) {
+          warnInstallFailed(
+            `cd ${workspaceInfo.root} && ${getInstallCommand(pkgManager)}`,
+          );
+        } else {
+          for (const tarball of tarballs) {
+            const placedTarball = path.join(
+              targetDir,
+              path.relative(projectDir, tarball),
+            );
+            if (fs.existsSync(placedTarball)) fs.unlinkSync(placedTarball);
+          }
+        }
+      }
+    } catch (err) {
+      for (const step of undo.reverse()) step();
+      for (const placedPath of placed) {
+        fs.rmSync(placedPath, { recursive: true, force: true });
+      }
+
+      if (err.signal === "SIGINT") throw new CancelledError(current);
+      throw new CreateProjectError(err, { completed, failed: current });
+    }
+  }
+
+  const installed = !skipInstall && !installError;
+  const nextSteps = folder === "." ? [] : [`cd ${folder}`];
+  if (!installed) nextSteps.push(getInstallCommand(pkgManager));
+  nextSteps.push(...setupSteps.map((step) => step.command || step.title));
+
+  return {
+    projectName,
+    projectDir: targetDir,
+    language,
+    database: database && database.name,
+    modules: selectedModules.map((mod) => mod.name),
+    files: listTemplateFiles(targetDir, {
+      excludeDirs: ["node_modules", ".git"],
+    }).map(toPosixPath),
+    dependencies: mergedPkg.dependencies || {},
+    devDependencies: mergedPkg.devDependencies || {},
+    installed,
+    answers: { language, ...lockAnswers },
+    warnings,
+    nextSteps,
+    manualSteps,
+  };
+}
+
+module.exports = {
+  createProject,
+};
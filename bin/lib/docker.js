@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+
+const { copyFile } = require("./templateHandler");
+const { renderFiles, getRenderContext } = require("./templateRenderer");
+
+const DOCKER_PROMPT = {
+  type: "confirm",
+  name: "docker",
+  message: "Containerize with Docker? (Dockerfile + docker-compose.yml)",
+  initial: false,
+};
+
+const COMPOSE_FILE = "docker-compose.yml";
+
+// The Dockerfile and .dockerignore, rendered for the chosen database
+const DOCKER_TEMPLATE_FILES = ["Dockerfile", ".dockerignore"];
+
+// How each package manager installs inside node:20-alpine. `setup` makes it
+// available in the image and `copy` is what to copy next to package.json; the
+// trailing `*` lets COPY go ahead before there is a lockfile. The install is
+// only frozen when one of the `lockfiles` exists.
+const DOCKER_PACKAGE_MANAGERS = {
+  npm: {
+    copy: "package-lock.json*",
+    lockfiles: ["package-lock.json"],
+    frozen: "npm ci",
+    install: "npm install",
+    production: "--omit=dev",
+  },
+  pnpm: {
+    setup: "RUN corepack enable",
+    copy: "pnpm-lock.yaml*",
+    lockfiles: ["pnpm-lock.yaml"],
+    frozen: "pnpm install --frozen-lockfile",
+    install: "pnpm install",
+    production: "--prod",
+  },
+  yarn: {
+    setup: "RUN corepack enable",
+    copy: "yarn.lock*",
+    lockfiles: ["yarn.lock"],
+    frozen: "yarn install --frozen-lockfile",
+    install: "yarn install",
+    production: "--production",
+  },
+  bun: {
+    setup: [
+      "RUN apk add --no-cache libgcc libstdc++",
+      "COPY --from=oven/bun:1-alpine /usr/local/bin/bun /usr/local/bin/bun",
+    ].join("\n"),
+    copy: "bun.lock*",
+    lockfiles: ["bun.lock", "bun.lockb"],
+    frozen: "bun install --frozen-lockfile",
+    install: "bun install",
+    production: "--production",
+  },
+};
+
+/**
+ * The Dockerfile lines that install dependencies with `pkgManager`:
+ * `dockerSetup`, `dockerLockfiles` (for COPY), and `dockerInstall` /
+ * `dockerInstallProd` (for RUN)
+ */
+function getDockerInstall(pkgManager) {
+  const pm = DOCKER_PACKAGE_MANAGERS[pkgManager] || DOCKER_PACKAGE_MANAGERS.npm;
+  const hasLockfile = pm.lockfiles.map((file) => `[ -f ${file} ]`).join(" || ");
+  const install = (flags) =>
+    `if ${hasLockfile}; then ${pm.frozen}${flags}; else ${pm.install}${flags}; fi`;
+
+  return {
+    dockerSetup: pm.setup || "",
+    dockerLockfiles: pm.copy,
+    dockerInstall: install(""),
+    dockerInstallProd: install(` ${pm.production}`),
+  };
+}
+
+/**
+ * Whether a `docker` fragment applies to the answers, e.g.
+ * `"when": { "paymentProvider": ["stripe", "both"] }`
+ */
+function matchesWhen(when, answers) {
+  return Object.entries(when || {}).every(([name, values]) =>
+    values.includes(answers[name]),
+  );
+}
+
+/**
+ * Build the docker-compose config: the app service plus whatever the
+ * database and modules add through the `docker` fragment in their manifests
+ * (`app` merged into the app service, extra `services` and named `volumes`).
+ * The app waits for every service that has a healthcheck.
+ */
+function buildCompose({ database, modules, answers = {} }) {
+  const app = {
+    build: ".",
+    ports: ["${PORT:-3000}:3000"],
+    env_file: [".env"],
+    environment: { NODE_ENV: "production", PORT: "3000" },
+  };
+  const services = { app };
+  const volumes = {};
+
+  for (const part of [database, ...modules]) {
+    const fragment = part && part.docker;
+    if (!fragment || !matchesWhen(fragment.when, answers)) continue;
+
+    if (fragment.app) {
+      const { environment, volumes: appVolumes, ...rest } = fragment.app;
+      Object.assign(app, rest);
+      Object.assign(app.environment, environment);
+      if (appVolumes) app.volumes = [...(app.volumes || []), ...appVolumes];
+    }
+    Object.assign(services, fragment.services);
+    Object.assign(volumes, fragment.volumes);
+  }
+
+  const healthy = Object.keys(services).filter(
+    (name) => services[name].healthcheck,
+  );
+  if (healthy.length > 0) {
+    app.depends_on = Object.fromEntries(
+      healthy.map((name) => [name, { condition: "service_healthy" }]),
+    );
+  }
+
+  return Object.keys(volumes).length > 0 ? { services, volumes } : { services };
+}
+
+function formatScalar(value) {
+  if (typeof value !== "string") return String(value);
+  // Plain when YAML can't mistake it for anything else, quoted otherwise
+  const plain =
+    /^[A-Za-z_./@-][A-Za-z0-9_./@:-]*$/.test(value) &&
+    !/^(true|false|yes|no|on|off|null|~)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * A small YAML writer for the shapes docker-compose needs: nested objects,
+ * lists and scalars
+ */
+function toYaml(value, indent = "") {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) =>
+        item !== null && typeof item === "object"
+          ? `${indent}-\n${toYaml(item, indent + "  ")}`
+          : `${indent}- ${formatScalar(item)}`,
+      )
+      .join("\n");
+  }
+
+  return Object.entries(value)
+    .map(([key, item]) => {
+      if (item !== null && typeof item === "object") {
+        const empty = Object.keys(item).length === 0;
+        return empty
+          ? `${indent}${key}: ${Array.isArray(item) ? "[]" : "{}"}`
+          : `${indent}${key}:\n${toYaml(item, indent + "  ")}`;
+      }
+      return `${indent}${key}: ${formatScalar(item)}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Write the Dockerfile, .dockerignore and docker-compose.yml into a project.
+ * Returns the files that were written, relative to the project.
+ */
+function writeDockerFiles(project, { database, modules, answers, pkgManager }) {
+  const templateDir = path.join(project.templateDir, "docker");
+  const written = [];
+
+  for (const file of DOCKER_TEMPLATE_FILES) {
+    const dest = path.join(project.dir, file);
+    copyFile(path.join(templateDir, file), dest);
+    written.push(file);
+  }
+  renderFiles(
+    DOCKER_TEMPLATE_FILES.map((file) => path.join(project.dir, file)),
+    { ...getRenderContext(project), ...getDockerInstall(pkgManager) },
+  );
+
+  const compose = buildCompose({ database, modules, answers });
+  fs.writeFileSync(
+    path.join(project.dir, COMPOSE_FILE),
+    `${toYaml(compose)}\n`,
+    "utf-8",
+  );
+  written.push(COMPOSE_FILE);
+
+  return written;
+}
+
+module.exports = {
+  DOCKER_PROMPT,
+  DOCKER_TEMPLATE_FILES,
+  COMPOSE_FILE,
+  buildCompose,
+  getDockerInstall,
+  toYaml,
+  writeDockerFiles,
+};
@@ -0,0 +1,586 @@
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+
+const { readProject, listModules, getModule } = require("./modules");
+const { readEnvKeys, readEnvValues } = require("./envFile");
+const { parseSource } = require("./codemod");
+const { createReporter } = require("./reporter");
+
+const SOURCE_EXTENSIONS = [".js", ".ts", ".mjs", ".cjs"];
+// Where the payments module is mounted when the project's answers don't say
+const DEFAULT_PAYMENTS_PATH = "/payments";
+
+function pass(message) {
+  return { status: "pass", message };
+}
+
+function warn(message, fix) {
+  return { status: "warn", message, fix };
+}
+
+function fail(message, fix) {
+  return { status: "fail", message, fix };
+}
+
+function findSourceFile(projectDir, withoutExtension, language) {
+  const relativePath = `${withoutExtension}.${language}`;
+  return fs.existsSync(path.join(projectDir, relativePath))
+    ? relativePath
+    : null;
+}
+
+function listSourceFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === "node_modules" || entry.name === "dist") continue;
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listSourceFiles(entryPath));
+    } else if (
+      SOURCE_EXTENSIONS.includes(path.extname(entry.name)) &&
+      !entry.name.endsWith(".d.ts")
+    ) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function walk(node, visit) {
+  if (!node || typeof node.type !== "string") return;
+  visit(node);
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "loc" || key.endsWith("Comments")) continue;
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === "string") walk(child, visit);
+    }
+  }
+}
+
+/**
+ * Turn `z.coerce.number().int().default(3000)` into
+ * `{ coerce, type: "number", checks: [{ name: "int" }], optional: true }`
+ */
+function describeZodField(node) {
+  const calls = [];
+  let current = node;
+
+  while (current) {
+    if (
+      current.type === "CallExpression" &&
+      current.callee.type === "MemberExpression"
+    ) {
+      calls.unshift({
+        name: current.callee.property.name,
+        args: current.arguments,
+      });
+      current = current.callee.object;
+    } else if (current.type === "MemberExpression") {
+      calls.unshift({ name: current.property.name, args: [] });
+      current = current.object;
+    } else {
+      current = null;
+    }
+  }
+
+  const literal = (arg) => {
+    if (!arg) return undefined;
+    if (arg.type === "StringLiteral" || arg.type === "NumericLiteral") {
+      return arg.value;
+    }
+    if (arg.type === "ArrayExpression") return arg.elements.map(literal);
+    return undefined;
+  };
+
+  const field = { type: null, coerce: false, optional: false, checks: [] };
+  for (const { name, args } of calls) {
+    if (name === "coerce") {
+      field.coerce = true;
+    } else if (!field.type) {
+      field.type = name;
+      if (name === "enum") field.values = literal(args[0]);
+    } else if (["optional", "default", "nullish", "catch"].includes(name)) {
+      field.optional = true;
+    } else {
+      field.checks.push({ name, value: literal(args[0]) });
+    }
+  }
+
+  return field;
+}
+
+/**
+ * What Zod would say about one env value, or null when it passes. Only
+ * the common validators are understood; anything else is assumed to pass.
+ */
+function validateEnvValue(field, value) {
+  if (value === undefined) {
+    return field.optional ? null : "is required but not set";
+  }
+
+  if (field.type === "enum" && Array.isArray(field.values)) {
+    return field.values.includes(value)
+      ? null
+      : `must be one of ${field.values.join(", ")} (got "${value}")`;
+  }
+
+  if (field.type === "number") {
+    if (!field.coerce) {
+      return "is read with z.number(), which never accepts a string — use z.coerce.number()";
+    }
+    const number = Number(value);
+    if (Number.isNaN(number)) return `must be a number (got "${value}")`;
+
+    for (const { name, value: limit } of field.checks) {
+      if (name === "int" && !Number.isInteger(number)) {
+        return `must be a whole number (got "${value}")`;
+      }
+      if (name === "positive" && number <= 0) {
+        return `must be positive (got "${value}")`;
+      }
+      if (name === "min" && number < limit) return `must be at least ${limit}`;
+      if (name === "max" && number > limit) return `must be at most ${limit}`;
+    }
+    return null;
+  }
+
+  if (field.type === "boolean" && !field.coerce) {
+    return "is read with z.boolean(), which never accepts a string — use z.coerce.boolean() or z.enum";
+  }
+
+  if (field.type === "string") {
+    for (const { name, value: limit } of field.checks) {
+      if (name === "min" && value.length < limit) {
+        return `must be at least ${limit} characters`;
+      }
+      if (name === "url") {
+        try {
+          new URL(value);
+        } catch {
+          return `must be a URL (got "${value}")`;
+        }
+      }
+      if (name === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return `must be an email address (got "${value}")`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read `const envSchema = z.object({ ... })` from config/env without running
+ * it, so projects can be checked before their dependencies are installed
+ */
+function readEnvSchema(code, language) {
+  const ast = parseSource(code, language);
+  let schema = null;
+
+  walk(ast.program, (node) => {
+    if (
+      !schema &&
+      node.type === "VariableDeclarator" &&
+      node.id.name === "envSchema" &&
+      node.init?.type === "CallExpression" &&
+      node.init.arguments[0]?.type === "ObjectExpression"
+    ) {
+      schema = {};
+      for (const property of node.init.arguments[0].properties) {
+        if (property.type !== "ObjectProperty") continue;
+        const key = property.key.name ?? property.key.value;
+        schema[key] = describeZodField(property.value);
+      }
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * The env the app would see: .env values, overridden by .env.<NODE_ENV> when
+ * it exists and then by real environment variables (dotenv doesn't replace
+ * variables that are already set)
+ */
+function readProjectEnv(projectDir, keys) {
+  const readValues = (file) => {
+    const envPath = path.join(projectDir, file);
+    return fs.existsSync(envPath)
+      ? readEnvValues(fs.readFileSync(envPath, "utf-8"))
+      : null;
+  };
+  const fileValues = readValues(".env");
+  const environmentValues = readValues(
+    `.env.${process.env.NODE_ENV || "development"}`,
+  );
+
+  const values = { ...fileValues, ...environmentValues };
+  for (const key of keys) {
+    if (process.env[key] !== undefined) values[key] = process.env[key];
+  }
+
+  return { exists: fileValues !== null, fileValues, values };
+}
+
+function checkEnv(project) {
+  const results = [];
+  const configFile = findSourceFile(
+    project.dir,
+    "src/config/env",
+    project.language,
+  );
+
+  const examplePath = path.join(project.dir, ".env.example");
+  const exampleKeys = fs.existsSync(examplePath)
+    ? [...readEnvKeys(fs.readFileSync(examplePath, "utf-8"))]
+    : [];
+
+  let schema = null;
+  if (!configFile) {
+    results.push(
+      warn(
+        `src/config/env.${project.language} not found, so .env can't be checked against envSchema`,
+      ),
+    );
+  } else {
+    try {
+      schema = readEnvSchema(
+        fs.readFileSync(path.join(project.dir, configFile), "utf-8"),
+        project.language,
+      );
+    } catch (err) {
+      results.push(fail(`Could not parse ${configFile}: ${err.message}`));
+    }
+    if (!schema && results.length === 0) {
+      results.push(
+        warn(
+          `No \`const envSchema = z.object({ ... })\` found in ${configFile}`,
+        ),
+      );
+    }
+  }
+
+  const env = readProjectEnv(project.dir, Object.keys(schema || {}));
+
+  if (!env.exists) {
+    results.push(
+      warn(
+        "No .env file — only variables set in the environment were checked",
+        "Copy .env.example to .env and fill in the values",
+      ),
+    );
+  } else {
+    const missing = exampleKeys.filter((key) => !(key in env.fileValues));
+    if (missing.length > 0) {
+      results.push(
+        warn(
+          `.env is missing ${missing.join(", ")} from .env.example`,
+          "Copy the missing variables from .env.example",
+        ),
+      );
+    }
+  }
+
+  if (schema) {
+    const problems = Object.entries(schema)
+      .map(([key, field]) => {
+        const problem = validateEnvValue(field, env.values[key]);
+        return problem && { key, problem };
+      })
+      .filter(Boolean);
+
+    for (const { key, problem } of problems) {
+      results.push(
+        fail(
+          `${key} ${problem}`,
+          `Fix ${key} in .env (validated by envSchema in ${configFile})`,
+        ),
+      );
+    }
+
+    if (problems.length === 0) {
+      results.push(
+        pass(
+          `.env matches envSchema (${Object.keys(schema).length} variables)`,
+        ),
+      );
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Every import, re-export, dynamic import and require in a source file
+ */
+function listImports(code, language) {
+  const imports = [];
+  const ast = parseSource(code, language);
+
+  walk(ast.program, (node) => {
+    if (
+      (node.type === "ImportDeclaration" ||
+        node.type === "ExportNamedDeclaration" ||
+        node.type === "ExportAllDeclaration") &&
+      node.source
+    ) {
+      imports.push({
+        specifier: node.source.value,
+        typeOnly: node.importKind === "type" || node.exportKind === "type",
+      });
+    } else if (
+      node.type === "CallExpression" &&
+      (node.callee.type === "Import" ||
+        (node.callee.type === "Identifier" &&
+          node.callee.name === "require")) &&
+      node.arguments[0]?.type === "StringLiteral"
+    ) {
+      imports.push({ specifier: node.arguments[0].value, typeOnly: false });
+    }
+  });
+
+  return imports;
+}
+
+function resolvesToFile(fromFile, specifier) {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    base,
+    // TypeScript lets `./x.js` point at `./x.ts`
+    base.replace(/\.js$/, ".ts"),
+    ...SOURCE_EXTENSIONS.map((ext) => base + ext),
+    ...SOURCE_EXTENSIONS.map((ext) => path.join(base, `index${ext}`)),
+    `${base}.json`,
+  ];
+  return candidates.some(
+    (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile(),
+  );
+}
+
+function packageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+function checkImports(project) {
+  const results = [];
+  const modules = listModules(project.language, project.templateDir);
+  const declared = {
+    ...project.pkg.dependencies,
+    ...project.pkg.devDependencies,
+    ...project.pkg.peerDependencies,
+    ...project.pkg.optionalDependencies,
+  };
+  const files = listSourceFiles(path.join(project.dir, "src"));
+  const undeclared = new Map();
+
+  for (const file of files) {
+    const relativeFile = path.relative(project.dir, file);
+    const isTest = /(__tests__|\.test\.|\.spec\.)/.test(relativeFile);
+    let imports;
+
+    try {
+      imports = listImports(
+        fs.readFileSync(file, "utf-8"),
+        file.endsWith(".ts") ? "ts" : "js",
+      );
+    } catch (err) {
+      results.push(fail(`Could not parse ${relativeFile}: ${err.message}`));
+      continue;
+    }
+
+    for (const { specifier, typeOnly } of imports) {
+      if (specifier.startsWith(".")) {
+        if (resolvesToFile(file, specifier)) continue;
+
+        const mod = modules.find((m) =>
+          m.references.some((reference) => specifier.includes(reference)),
+        );
+        results.push(
+          fail(
+            `${relativeFile} imports ${specifier}, which doesn't exist`,
+            mod
+              ? `Remove the import and the code that uses it, or run \`npx create-charcole add ${mod.name}\``
+              : "Restore the file or remove the import",
+          ),
+        );
+        continue;
+      }
+
+      const name = packageName(specifier.replace(/^node:/, ""));
+      if (
+        typeOnly ||
+        specifier.startsWith("node:") ||
+        builtinModules.includes(name) ||
+        name in declared
+      ) {
+        continue;
+      }
+
+      // Grouped per package so one missing package is reported once
+      if (!undeclared.has(name)) undeclared.set(name, { files: [], isTest });
+      const entry = undeclared.get(name);
+      if (!entry.files.includes(relativeFile)) entry.files.push(relativeFile);
+      entry.isTest = entry.isTest && isTest;
+    }
+  }
+
+  for (const [name, { files: importers, isTest }] of undeclared) {
+    const shown = importers.slice(0, 2).join(", ");
+    const more =
+      importers.length > 2 ? ` and ${importers.length - 2} more file(s)` : "";
+    // Test-only packages don't break the app, only the tests
+    const report = isTest ? warn : fail;
+    results.push(
+      report(
+        `${name} is imported by ${shown}${more} but isn't in package.json`,
+        `Install it: npm install ${isTest ? "--save-dev " : ""}${name}`,
+      ),
+    );
+  }
+
+  if (results.length === 0) {
+    results.push(pass(`All imports in ${files.length} source files resolve`));
+  }
+
+  return results;
+}
+
+/**
+ * Payment webhooks verify a signature over the raw body, so express.raw()
+ * must see the request before express.json() parses it
+ */
+function checkWebhookOrder(project) {
+  const appFile = findSourceFile(project.dir, "src/app", project.language);
+  if (!appFile) return [];
+
+  const webhookPath = `/api${project.answers.paymentsPath || DEFAULT_PAYMENTS_PATH}/webhook`;
+  const code = fs.readFileSync(path.join(project.dir, appFile), "utf-8");
+  if (!project.modules.payments && !code.includes(webhookPath)) {
+    return [];
+  }
+
+  let statements;
+  try {
+    statements = parseSource(code, project.language).program.body.map((node) =>
+      code.slice(node.start, node.end),
+    );
+  } catch (err) {
+    return [fail(`Could not parse ${appFile}: ${err.message}`)];
+  }
+
+  const rawIndex = statements.findIndex(
+    (s) => s.includes("express.raw(") && s.includes(webhookPath),
+  );
+  const jsonIndex = statements.findIndex((s) =>
+    /\.use\(\s*express\.json\(/.test(s),
+  );
+  const fix = `Add \`app.use("${webhookPath}", express.raw({ type: "application/json" }));\` before \`app.use(express.json())\` in ${appFile}`;
+
+  if (rawIndex === -1) {
+    return [
+      fail(
+        `${appFile} doesn't register express.raw() for ${webhookPath} — webhook signatures will never verify`,
+        fix,
+      ),
+    ];
+  }
+  if (jsonIndex !== -1 && rawIndex > jsonIndex) {
+    return [
+      fail(
+        `${appFile} registers express.raw() for ${webhookPath} after express.json() — webhook signatures will never verify`,
+        `Move the express.raw() line above \`app.use(express.json())\` in ${appFile}`,
+      ),
+    ];
+  }
+  return [pass(`express.raw() runs before express.json() for ${webhookPath}`)];
+}
+
+function checkJwtSecret(project) {
+  if (!project.modules.auth) return [];
+
+  const auth = getModule("auth", project.language, project.templateDir);
+  const placeholder = auth.env?.vars.find((v) => v.key === "JWT_SECRET")?.value;
+  const secret = readProjectEnv(project.dir, ["JWT_SECRET"]).values.JWT_SECRET;
+  const fix =
+    "Set JWT_SECRET in .env to a long random value, e.g. the output of `node -e \"console.log(require('crypto').randomBytes(48).toString('hex'))\"`";
+
+  if (!secret) return [fail("JWT_SECRET is not set", fix)];
+  if (secret === placeholder) {
+    return [fail("JWT_SECRET is still the placeholder value", fix)];
+  }
+  if (secret.length < 32) {
+    return [warn(`JWT_SECRET is only ${secret.length} characters long`, fix)];
+  }
+  return [pass("JWT_SECRET is set")];
+}
+
+const CHECKS = [
+  { title: "Environment", run: checkEnv },
+  { title: "Imports", run: checkImports },
+  { title: "Payments webhook", run: checkWebhookOrder },
+  { title: "Auth", run: checkJwtSecret },
+];
+
+const ICONS = { pass: "✓", warn: "⚠️ ", fail: "❌" };
+
+/**
+ * `create-charcole doctor` — check the project in the current directory for
+ * common problems. Exits with code 1 when any check fails. With --quiet only
+ * warnings and failures are listed.
+ */
+async function runDoctor(reporter = createReporter()) {
+  const project = readProject(process.cwd());
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  const checks = [];
+
+  reporter.info(`\n🩺 Checking ${project.pkg.name || "project"}...`);
+
+  for (const check of CHECKS) {
+    const results = check.run(project);
+    if (results.length === 0) continue;
+    checks.push({ title: check.title, results });
+
+    const print = (message, status) =>
+      status === "pass" ? reporter.info(message) : reporter.output(message);
+    print(
+      `\n${check.title}`,
+      results.some((result) => result.status !== "pass") ? "warn" : "pass",
+    );
+    for (const result of results) {
+      counts[result.status]++;
+      print(`  ${ICONS[result.status]} ${result.message}`, result.status);
+      if (result.fix) print(`     Fix: ${result.fix}`, result.status);
+    }
+  }
+
+  const tally = `${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed`;
+  if (counts.fail > 0) {
+    reporter.error(
+      tally,
+      reporter.isJson
+        ? checks.flatMap(({ results }) =>
+            results
+              .filter((result) => result.status === "fail")
+              .map((result) => result.message),
+          )
+        : [],
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  reporter.finish(tally, { counts, checks });
+}
+
+module.exports = {
+  runDoctor,
+  validateEnvValue,
+  readEnvSchema,
+  checkWebhookOrder,
+};
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+
+const { mergePackageJson, readJson } = require("./packageJson");
+const { ENVIRONMENT_FILES, appendEnvContent } = require("./envFile");
+const { renderTemplate, getRenderContext } = require("./templateRenderer");
+const { LOCKFILE } = require("./lockfile");
+const { README_FILE } = require("./readme");
+const { DEFAULT_DATABASE } = require("./modules");
+const { DOCKER_TEMPLATE_FILES, COMPOSE_FILE } = require("./docker");
+const { getLocalPackages, useLocalPackages } = require("./localPackages");
+const {
+  resolveModuleOptions,
+  getModuleEnv,
+  getOptionEnvValues,
+  getModuleExcludedFiles,
+} = require("./moduleInstaller");
+
+/**
+ * List the files a template copy would create, relative to `src`. Mirrors
+ * the exclusion rules of the real copy.
+ */
+function listTemplateFiles(
+  src,
+  { excludeFiles = [], excludeDirs = [], excludePaths = [] } = {},
+) {
+  if (!fs.existsSync(src)) return [];
+
+  const files = [];
+
+  for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+    const srcPath = path.join(src, entry.name);
+
+    if (excludePaths.includes(srcPath)) continue;
+    if (excludeFiles.includes(entry.name)) continue;
+    if (entry.name.endsWith(".tgz")) continue;
+
+    if (entry.isDirectory()) {
+      if (excludeDirs.includes(entry.name)) continue;
+      const nested = listTemplateFiles(srcPath, {
+        excludeFiles,
+        excludeDirs,
+        excludePaths,
+      });
+      files.push(...nested.map((file) => path.join(entry.name, file)));
+    } else {
+      files.push(entry.name);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Draw a list of relative paths as a tree
+ */
+function formatTree(files) {
+  const root = {};
+  for (const file of files) {
+    let node = root;
+    for (const part of file.split(/[\\/]/)) {
+      node[part] = node[part] || {};
+      node = node[part];
+    }
+  }
+
+  const lines = [];
+  const walk = (node, prefix) => {
+    // Folders first, then files, each alphabetically
+    const names = Object.keys(node).sort((a, b) => {
+      const aIsDir = Object.keys(node[a]).length > 0;
+      const bIsDir = Object.keys(node[b]).length > 0;
+      return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1;
+    });
+
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const isDir = Object.keys(node[name]).length > 0;
+      lines.push(
+        `${prefix}${last ? "└── " : "├── "}${name}${isDir ? "/" : ""}`,
+      );
+      walk(node[name], prefix + (last ? "    " : "│   "));
+    });
+  };
+  walk(root, "");
+
+  return lines.join("\n");
+}
+
+/**
+ * Work out everything a scaffold would produce without writing anything:
+ * the file list, the merged package.json, the .env content and the steps
+ * that run afterwards
+ */
+function planProject({
+  projectName,
+  language,
+  templateDir,
+  basePkg,
+  database,
+  modules,
+  selectedModules,
+  moduleAnswers,
+  containerize = false,
+  envFiles = false,
+  baseCopy,
+  pkgManager,
+  skipGit = false,
+  skipInstall = false,
+  localPackages = false,
+  openApiPlan = null,
+  workspace = null,
+}) {
+  const files = new Set(listTemplateFiles(templateDir, baseCopy));
+  let pkg = basePkg;
+  const tarballs = [];
+  const wiredFiles = new Set();
+
+  // The database variant's files replace the base in-memory ones. Custom
+  // templates without a databases folder have none.
+  if (database) {
+    listTemplateFiles(path.join(database.templateDir, "src")).forEach((file) =>
+      files.add(path.join("src", file)),
+    );
+    const fragmentPath = path.join(database.templateDir, "package.json");
+    if (fs.existsSync(fragmentPath)) {
+      pkg = mergePackageJson(pkg, readJson(fragmentPath));
+    }
+  }
+
+  for (const mod of selectedModules) {
+    for (const relativePath of [mod.dir, ...mod.files].filter(Boolean)) {
+      const src = path.join(templateDir, relativePath);
+      if (!fs.existsSync(src)) continue;
+
+      if (fs.statSync(src).isDirectory()) {
+        listTemplateFiles(src, {
+          excludeFiles: getModuleExcludedFiles(mod),
+        }).forEach((file) => files.add(path.join(relativePath, file)));
+      } else {
+        files.add(path.normalize(relativePath));
+      }
+    }
+
+    const fragmentPath = path.join(mod.templateDir, "package.json");
+    if (fs.existsSync(fragmentPath)) {
+      pkg = mergePackageJson(pkg, readJson(fragmentPath));
+    }
+
+    tarballs.push(...mod.tarballs);
+    mod.inject.forEach((point) => wiredFiles.add(point.file));
+  }
+
+  // Builds of packages/* are packed into the project and used instead
+  const packages = localPackages ? getLocalPackages(pkg) : [];
+  pkg = useLocalPackages(pkg, packages);
+  packages.forEach((local) => files.add(local.tarball));
+
+  files.add("package.json");
+  files.add(LOCKFILE);
+  const hasReadme = fs.existsSync(path.join(templateDir, README_FILE));
+  if (hasReadme) files.add(README_FILE);
+  if (openApiPlan) {
+    openApiPlan.files.forEach((file) => files.add(file.relativePath));
+  }
+  if (containerize) {
+    [...DOCKER_TEMPLATE_FILES, COMPOSE_FILE].forEach((file) => files.add(file));
+  }
+  if (envFiles) {
+    ENVIRONMENT_FILES.forEach(({ file }) => files.add(file));
+  }
+
+  const context = getRenderContext({
+    pkg,
+    language,
+    database: database ? database.name : DEFAULT_DATABASE,
+    modules: Object.fromEntries(
+      modules.map((mod) => [mod.name, selectedModules.includes(mod)]),
+    ),
+  });
+
+  // .env is created from the rendered .env.example, then each module's vars
+  // are appended with the values picked in the prompts. Secrets are only
+  // generated for the real run.
+  let env = "";
+  const examplePath = path.join(templateDir, ".env.example");
+  if (fs.existsSync(examplePath)) {
+    env = renderTemplate(
+      fs.readFileSync(examplePath, "utf-8"),
+      context,
+      examplePath,
+    );
+    if (!/APP_NAME\s*=/.test(env)) {
+      env = `APP_NAME=CHARCOLE API\n` + env;
+    }
+    files.add(".env");
+  }
+
+  for (const mod of selectedModules) {
+    const answers = resolveModuleOptions(mod, moduleAnswers);
+    const moduleEnv = getModuleEnv(mod, answers);
+    if (!moduleEnv) continue;
+    const secrets = Object.fromEntries(
+      moduleEnv.vars.filter((v) => v.secret).map((v) => [v.key, "<random>"]),
+    );
+    env = appendEnvContent(env, moduleEnv, {
+      ...secrets,
+      ...getOptionEnvValues(mod, answers),
+    }).content;
+  }
+
+  const steps = [
+    "Render `{{variables}}` and `@if` regions for the selected modules",
+  ];
+  if (wiredFiles.size > 0) {
+    steps.push(`Wire modules into ${[...wiredFiles].join(", ")}`);
+  }
+  for (const local of packages) {
+    steps.push(
+      `Pack ${local.name} from packages/${path.basename(local.dir)} into ${local.tarball}`,
+    );
+  }
+  if (hasReadme) {
+    steps.push(
+      `Write ${README_FILE} with the setup steps, scripts, routes and env vars of this project`,
+    );
+  }
+  if (openApiPlan) {
+    steps.push(
+      `Generate ${openApiPlan.modules.map((mod) => `${mod.name} (/api${mod.mountPath})`).join(", ")} from ${openApiPlan.source} and mount them in routes/index`,
+    );
+  }
+  if (!skipGit) {
+    steps.push("git init and create the initial commit");
+  }
+  if (workspace) {
+    steps.push(...workspace.steps);
+  }
+  if (!skipInstall) {
+    steps.push(
+      workspace
+        ? `Install dependencies from the workspace root (${workspace.root}) with \`${pkgManager} install\``
+        : `Install dependencies with \`${pkgManager} install\``,
+    );
+    if (tarballs.length > 0) {
+      steps.push(`Remove the temporary ${tarballs.join(", ")}`);
+    }
+  }
+
+  return {
+    projectName,
+    files: [...files].sort(),
+    pkg,
+    env,
+    steps,
+  };
+}
+
+/**
+ * Print a scaffold plan for `--dry-run`
+ */
+function printDryRun(plan) {
+  console.log(`\n🔍 Dry run — nothing will be written to disk or installed\n`);
+
+  console.log(`📁 ${plan.projectName}/`);
+  console.log(formatTree(plan.files));
+
+  console.log("\n📝 package.json:");
+  console.log(JSON.stringify(plan.pkg, null, 2));
+
+  console.log("\n🔐 .env:");
+  console.log(plan.env.trimEnd());
+
+  console.log("\n⚙️  Then:");
+  plan.steps.forEach((step, index) => {
+    console.log(`  ${index + 1}. ${step}`);
+  });
+}
+
+module.exports = {
+  listTemplateFiles,
+  planProject,
+  printDryRun,
+};
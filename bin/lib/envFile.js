@@ -0,0 +1,267 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ENV_FILES_PROMPT = {
+  type: "confirm",
+  name: "envFiles",
+  message:
+    "Create per-environment env files? (.env.development, .env.test, .env.production.example)",
+  initial: false,
+};
+
+/**
+ * The per-environment files written at scaffold time, with the values each
+ * one sets. Example files keep placeholders and are committed; the others
+ * get their own generated secrets and stay out of git.
+ */
+const ENVIRONMENT_FILES = [
+  {
+    file: ".env.development",
+    values: { NODE_ENV: "development", LOG_LEVEL: "debug", CORS_ORIGIN: "*" },
+  },
+  {
+    file: ".env.test",
+    values: { NODE_ENV: "test", LOG_LEVEL: "error", CORS_ORIGIN: "*" },
+  },
+  {
+    file: ".env.production.example",
+    values: {
+      NODE_ENV: "production",
+      LOG_LEVEL: "info",
+      CORS_ORIGIN: "https://your-frontend.example.com",
+    },
+  },
+];
+
+// Every .env file a module's vars go into, when the project has it
+const ENV_FILES = [
+  ".env.example",
+  ".env",
+  ...ENVIRONMENT_FILES.map(({ file }) => file),
+];
+
+function isExampleEnvFile(file) {
+  return file.endsWith(".example");
+}
+
+/**
+ * A random value for a secret such as JWT_SECRET
+ */
+function generateSecret() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+/**
+ * Fresh random values for the vars a module marks `"secret": true`
+ */
+function getSecretValues(env) {
+  return Object.fromEntries(
+    env.vars.filter((v) => v.secret).map((v) => [v.key, generateSecret()]),
+  );
+}
+
+/**
+ * The values a module's secrets get in an env file. Real env files get fresh
+ * random ones; .env.example keeps the placeholder to show what goes there,
+ * and the per-environment examples leave them empty so nothing that looks
+ * like a usable secret gets deployed.
+ */
+function getEnvFileSecrets(file, env) {
+  if (!isExampleEnvFile(file)) return getSecretValues(env);
+  if (file === ".env.example") return {};
+  return Object.fromEntries(
+    env.vars.filter((v) => v.secret).map((v) => [v.key, ""]),
+  );
+}
+
+/**
+ * Get the keys defined in a .env file
+ */
+function readEnvKeys(content) {
+  const keys = new Set();
+
+  for (const line of content.split("\n")) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+    if (match) keys.add(match[1]);
+  }
+
+  return keys;
+}
+
+/**
+ * Get the values defined in a .env file, read the way dotenv reads them:
+ * quotes are stripped and unquoted values lose trailing ` # comments`
+ */
+function readEnvValues(content) {
+  const values = {};
+
+  for (const line of content.split("\n")) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+    if (!match) continue;
+
+    const raw = match[2].trim();
+    const quoted = raw.match(/^(["'`])(.*)\1$/);
+    values[match[1]] = quoted ? quoted[2] : raw.replace(/\s+#.*$/, "");
+  }
+
+  return values;
+}
+
+/**
+ * Append a module's env vars to .env content, skipping keys that are already
+ * defined so existing values are never touched. `values` overrides the
+ * defaults from the module definition.
+ *
+ * Returns the new content and the keys that were added.
+ */
+function appendEnvContent(content, env, values = {}) {
+  const existingKeys = readEnvKeys(content);
+  const missing = env.vars.filter((v) => !existingKeys.has(v.key));
+
+  if (missing.length === 0) return { content, added: [] };
+
+  const lines = [`# ${env.title}`];
+  for (const [index, v] of missing.entries()) {
+    // A commented var starts a new group, like the hand-written examples
+    if (v.comment && index > 0) lines.push("");
+    for (const comment of [].concat(v.comment || [])) {
+      lines.push(`# ${comment}`);
+    }
+    const value = v.key in values ? values[v.key] : v.value;
+    lines.push(`${v.key}=${value}`);
+  }
+
+  const separator =
+    content === "" ? "" : content.endsWith("\n") ? "\n" : "\n\n";
+
+  return {
+    content: content + separator + lines.join("\n") + "\n",
+    added: missing.map((v) => v.key),
+  };
+}
+
+/**
+ * Set keys in .env content to new values. Keys that aren't there yet are
+ * added at the end.
+ */
+function setEnvValues(content, values) {
+  const remaining = { ...values };
+  const lines = content.split("\n").map((line) => {
+    const match = line.match(/^(\s*)([A-Za-z_][A-Za-z0-9_]*)(\s*)=/);
+    if (!match || !(match[2] in remaining)) return line;
+
+    const value = remaining[match[2]];
+    delete remaining[match[2]];
+    return `${match[1]}${match[2]}${match[3]}=${value}`;
+  });
+
+  const missing = Object.entries(remaining).map(
+    ([key, value]) => `${key}=${value}`,
+  );
+  const result = lines.join("\n");
+  if (missing.length === 0) return result;
+
+  const separator = result === "" || result.endsWith("\n") ? "" : "\n";
+  return `${result}${separator}${missing.join("\n")}\n`;
+}
+
+/**
+ * Write .env.development, .env.test and .env.production.example next to
+ * .env. Each is a full copy of .env (or of .env.example, for the example)
+ * with that environment's values, and the secrets for the given module env
+ * definitions: their own in the non-example files, empty in the example.
+ * Returns the files written.
+ */
+function writeEnvironmentFiles(projectDir, envs = []) {
+  const written = [];
+
+  for (const { file, values } of ENVIRONMENT_FILES) {
+    const example = isExampleEnvFile(file);
+    const sourcePath = path.join(projectDir, example ? ".env.example" : ".env");
+    if (!fs.existsSync(sourcePath)) continue;
+
+    const secrets = Object.assign(
+      {},
+      ...envs.map((env) => getEnvFileSecrets(file, env)),
+    );
+    fs.writeFileSync(
+      path.join(projectDir, file),
+      setEnvValues(fs.readFileSync(sourcePath, "utf-8"), {
+        ...values,
+        ...secrets,
+      }),
+    );
+    written.push(file);
+  }
+
+  return written;
+}
+
+/**
+ * Append a module's env vars to a .env file. Returns the keys that were added.
+ */
+function appendEnvVars(filePath, env, values = {}) {
+  const content = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, "utf-8")
+    : "";
+  const result = appendEnvContent(content, env, values);
+
+  if (result.added.length > 0) {
+    fs.writeFileSync(filePath, result.content);
+  }
+
+  return result.added;
+}
+
+/**
+ * Remove a module's env vars, along with the header and comments that
+ * appendEnvVars wrote for them. Returns the keys that were removed.
+ */
+function removeEnvVars(filePath, env) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const keys = env.vars.map((v) => v.key);
+  const comments = new Set(
+    [env.title, ...env.vars.flatMap((v) => [].concat(v.comment || []))].map(
+      (comment) => `# ${comment}`,
+    ),
+  );
+
+  const removed = [];
+  const lines = fs
+    .readFileSync(filePath, "utf-8")
+    .split("\n")
+    .filter((line) => {
+      const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+      if (match && keys.includes(match[1])) {
+        removed.push(match[1]);
+        return false;
+      }
+      return !comments.has(line.trim());
+    });
+
+  if (removed.length > 0) {
+    const content = lines.join("\n").replace(/\n{3,}/g, "\n\n");
+    fs.writeFileSync(filePath, content.replace(/\n+$/, "\n"));
+  }
+
+  return removed;
+}
+
+module.exports = {
+  ENV_FILES_PROMPT,
+  ENVIRONMENT_FILES,
+  ENV_FILES,
+  isExampleEnvFile,
+  generateSecret,
+  getSecretValues,
+  getEnvFileSecrets,
+  setEnvValues,
+  writeEnvironmentFiles,
+  readEnvKeys,
+  readEnvValues,
+  appendEnvContent,
+  appendEnvVars,
+  removeEnvVars,
+};
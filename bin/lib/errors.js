@@ -0,0 +1,139 @@
+/**
+ * Errors thrown by createProject, addModule and listModules. `code` is stable
+ * for callers to switch on; `details` lists the individual problems, e.g.
+ * each invalid preset key.
+ */
+class CharcoleError extends Error {
+  constructor(message, { code = "CHARCOLE_ERROR", details = [] } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Options, flags or preset answers that can't be used
+ */
+class InvalidOptionsError extends CharcoleError {
+  constructor(message, details = []) {
+    super(message, { code: "INVALID_OPTIONS", details });
+  }
+}
+
+/**
+ * A `--template` folder that doesn't have the layout of `template/<language>`
+ */
+class InvalidTemplateError extends CharcoleError {
+  constructor(templateDir, problems) {
+    super(`Invalid template ${templateDir}:`, {
+      code: "INVALID_TEMPLATE",
+      details: problems,
+    });
+    this.templateDir = templateDir;
+  }
+}
+
+/**
+ * The folder for a new project is already there and has more than a git
+ * repository in it
+ */
+class ProjectExistsError extends CharcoleError {
+  constructor(folder, projectDir) {
+    super(
+      folder === "."
+        ? "The current folder isn't empty."
+        : `Folder "${folder}" already exists.`,
+      {
+        code: "PROJECT_EXISTS",
+        details: [
+          "Projects can only be created in an empty folder or one with just a git repository",
+        ],
+      },
+    );
+    this.projectDir = projectDir;
+  }
+}
+
+/**
+ * A folder that isn't a Charcole project
+ */
+class NotAProjectError extends CharcoleError {
+  constructor(message) {
+    super(message, { code: "NOT_A_PROJECT" });
+  }
+}
+
+/**
+ * A module name the template doesn't have
+ */
+class UnknownModuleError extends CharcoleError {
+  constructor(moduleName, available) {
+    super(
+      `Unknown module "${moduleName}". Available modules: ${available.join(", ")}`,
+      { code: "UNKNOWN_MODULE" },
+    );
+    this.moduleName = moduleName;
+    this.available = available;
+  }
+}
+
+/**
+ * A step of project creation failed. The staging folder has been removed, so
+ * nothing was created; `completed` and `failed` say how far it got.
+ */
+class CreateProjectError extends CharcoleError {
+  constructor(cause, { completed, failed }) {
+    super(
+      `Failed to create Charcole project while ${(failed || "preparing").toLowerCase()}: ${cause.message.trim()}`,
+      { code: "CREATE_FAILED" },
+    );
+    this.cause = cause;
+    this.completed = completed;
+    this.failed = failed;
+  }
+}
+
+/**
+ * Adding a module to a project failed part-way, e.g. in `npm pack` or the
+ * install. Every file it had changed was put back first.
+ */
+class AddModuleError extends CharcoleError {
+  constructor(moduleName, cause, details = []) {
+    super(
+      `Failed to add ${moduleName}: ${cause.message.trim()} — the project was left as it was`,
+      { code: "ADD_FAILED", details },
+    );
+    this.cause = cause;
+    this.moduleName = moduleName;
+  }
+}
+
+/**
+ * Ctrl+C or SIGTERM stopped a command, or a prompt was aborted or declined.
+ * Nothing was changed; `signal` is the one that stopped it.
+ */
+class CancelledError extends CharcoleError {
+  constructor(
+    step,
+    { signal = "SIGINT", outcome = "nothing was created" } = {},
+  ) {
+    super(
+      `Cancelled${step ? ` while ${step.toLowerCase()}` : ""} — ${outcome}`,
+      { code: "CANCELLED" },
+    );
+    this.signal = signal;
+  }
+}
+
+module.exports = {
+  CharcoleError,
+  InvalidOptionsError,
+  InvalidTemplateError,
+  ProjectExistsError,
+  NotAProjectError,
+  UnknownModuleError,
+  CreateProjectError,
+  AddModuleError,
+  CancelledError,
+};
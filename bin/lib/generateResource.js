@@ -0,0 +1,465 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readProject } = require("./modules");
+const { writeJson } = require("./packageJson");
+const { renderTemplate } = require("./templateRenderer");
+const { addImports, insertStatements, addObjectEntries } = require("./codemod");
+const { createReporter } = require("./reporter");
+const { InvalidOptionsError } = require("./errors");
+
+const GENERATORS_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "template",
+  "generators",
+);
+
+// Zod validator, a sample value for tests, a second one for updates and a
+// value of the wrong type for each field type
+const FIELD_TYPES = {
+  string: {
+    zod: (name) => `z.string().min(1, "${name} is required")`,
+    sample: (name) => JSON.stringify(`Sample ${name}`),
+    updated: (name) => JSON.stringify(`Updated ${name}`),
+    invalid: "123",
+  },
+  number: {
+    zod: () => "z.number()",
+    sample: () => "42",
+    updated: () => "43",
+    invalid: '"not-a-number"',
+  },
+  integer: {
+    zod: () => "z.number().int()",
+    sample: () => "7",
+    updated: () => "8",
+    invalid: "1.5",
+  },
+  boolean: {
+    zod: () => "z.boolean()",
+    sample: () => "true",
+    updated: () => "false",
+    invalid: '"yes"',
+  },
+  date: {
+    zod: () => "z.string().datetime()",
+    sample: () => '"2024-01-01T00:00:00.000Z"',
+    updated: () => '"2024-02-01T00:00:00.000Z"',
+    invalid: '"not-a-date"',
+  },
+  email: {
+    zod: () => "z.string().email()",
+    sample: () => '"user@example.com"',
+    updated: () => '"updated@example.com"',
+    invalid: '"not-an-email"',
+  },
+};
+
+// Set by the repository, so they can't be fields
+const RESERVED_FIELDS = ["id", "createdAt", "updatedAt"];
+
+const TEST_DEPENDENCIES = {
+  js: { vitest: "^1.6.0", supertest: "^7.0.0" },
+  ts: { vitest: "^1.6.0", supertest: "^7.0.0", "@types/supertest": "^6.0.2" },
+};
+
+function usage() {
+  return "create-charcole generate resource <name> [title:string price:number notes?:string | --fields title:string,price:number,notes?:string]";
+}
+
+/**
+ * `blogPost`, `BlogPost` and `blog_post` all become `blog-post`
+ */
+function toKebabCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[_\s]+/g, "-")
+    .toLowerCase();
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+/**
+ * Every spelling of the resource name the templates use
+ */
+function getNames(rawName) {
+  const name = toKebabCase(rawName);
+  if (!/^[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name)) {
+    throw new Error(
+      `Invalid resource name "${rawName}". Use letters, digits and dashes, starting with a letter.`,
+    );
+  }
+
+  const words = name.split("-");
+  const pluralWords = [
+    ...words.slice(0, -1),
+    pluralize(words[words.length - 1]),
+  ];
+  const pascal = (parts) =>
+    parts.map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+  const camel = (parts) => {
+    const value = pascal(parts);
+    return value[0].toLowerCase() + value.slice(1);
+  };
+  const lowerTitle = words.join(" ");
+
+  return {
+    name,
+    camelName: camel(words),
+    camelPlural: camel(pluralWords),
+    PascalName: pascal(words),
+    PascalPlural: pascal(pluralWords),
+    constName: words.join("_").toUpperCase(),
+    routePath: pluralWords.join("-"),
+    title: lowerTitle[0].toUpperCase() + lowerTitle.slice(1),
+    lowerTitle,
+    lowerTitlePlural: pluralWords.join(" "),
+    indefiniteTitle: `${/^[aeiou]/.test(lowerTitle) ? "an" : "a"} ${lowerTitle}`,
+    tag: pluralWords.map((w) => w[0].toUpperCase() + w.slice(1)).join(" "),
+  };
+}
+
+/**
+ * Parse `title:string,price:number,notes?:string`. The type defaults to
+ * string; a `?` after the name makes the field optional.
+ */
+function parseFields(value) {
+  const fields = value
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [rawName, type = "string"] = part.split(":").map((s) => s.trim());
+      const optional = rawName.endsWith("?");
+      const name = optional ? rawName.slice(0, -1) : rawName;
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid field name "${name}"`);
+      }
+      if (RESERVED_FIELDS.includes(name)) {
+        throw new Error(`"${name}" is set automatically and can't be a field`);
+      }
+      if (!FIELD_TYPES[type]) {
+        throw new Error(
+          `Unknown type "${type}" for ${name} (expected one of: ${Object.keys(FIELD_TYPES).join(", ")})`,
+        );
+      }
+      return { name, type, optional };
+    });
+
+  if (fields.length === 0) {
+    throw new Error("--fields needs at least one field");
+  }
+
+  const seen = new Set();
+  for (const field of fields) {
+    if (seen.has(field.name)) {
+      throw new Error(`Field "${field.name}" is listed twice`);
+    }
+    seen.add(field.name);
+  }
+
+  return fields;
+}
+
+/**
+ * Template variables built from the field list
+ */
+function getFieldSnippets(fields) {
+  const objectLiteral = (entries) =>
+    `{ ${entries.map(([key, value]) => `${key}: ${value}`).join(", ")} }`;
+  const sample = fields.map((f) => [
+    f.name,
+    FIELD_TYPES[f.type].sample(f.name),
+  ]);
+  const [first] = fields;
+
+  return {
+    zodFields: fields
+      .map(
+        (f) =>
+          `  ${f.name}: ${FIELD_TYPES[f.type].zod(f.name)}${f.optional ? ".optional()" : ""},`,
+      )
+      .join("\n"),
+    sampleBody: objectLiteral(sample),
+    invalidBody: objectLiteral(
+      sample.map(([key, value]) =>
+        key === first.name
+          ? [key, FIELD_TYPES[first.type].invalid]
+          : [key, value],
+      ),
+    ),
+    updateField: first.name,
+    updateValue: FIELD_TYPES[first.type].updated(first.name),
+  };
+}
+
+/**
+ * Map every generator template file to its destination in the project
+ */
+function listGeneratorFiles(srcDir, names, destDir, prefix = "") {
+  const files = [];
+
+  for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+    const relativePath = path.join(
+      prefix,
+      entry.name.replace(/__name__/g, names.name).replace(/\.tpl$/, ""),
+    );
+
+    if (entry.isDirectory()) {
+      files.push(
+        ...listGeneratorFiles(
+          path.join(srcDir, entry.name),
+          names,
+          destDir,
+          relativePath,
+        ),
+      );
+    } else {
+      files.push({
+        src: path.join(srcDir, entry.name),
+        dest: path.join(destDir, relativePath),
+        relativePath,
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Run the import + statement codemods for one file, collecting a manual step
+ * when the file can't be edited safely
+ */
+function wireInto(project, relativePath, { imports, before, statements }) {
+  const filePath = path.join(project.dir, relativePath);
+  const wanted = [...imports, ...statements].join("\n    ");
+
+  if (!fs.existsSync(filePath)) {
+    return `${relativePath} not found. Add:\n    ${wanted}`;
+  }
+
+  try {
+    const original = fs.readFileSync(filePath, "utf-8");
+    const withImports = addImports(original, project.language, imports);
+    const withStatements = insertStatements(
+      withImports.code,
+      project.language,
+      {
+        before,
+        statements,
+      },
+    );
+
+    if (!withStatements.anchorFound) {
+      return `Could not find \`${before}\` in ${relativePath}. Add before it:\n    ${statements.join("\n    ")}`;
+    }
+
+    fs.writeFileSync(filePath, withStatements.code, "utf-8");
+    return null;
+  } catch (err) {
+    return `Could not parse ${relativePath} (${err.message}). Add:\n    ${wanted}`;
+  }
+}
+
+/**
+ * Import Zod schemas into the swagger config and list them under `schemas`
+ */
+function registerSwaggerSchemas(
+  project,
+  relativePath,
+  { importLine, entries },
+) {
+  const filePath = path.join(project.dir, relativePath);
+
+  try {
+    const original = fs.readFileSync(filePath, "utf-8");
+    const withImports = addImports(original, project.language, [importLine]);
+    const withEntries = addObjectEntries(withImports.code, project.language, {
+      property: "schemas",
+      entries,
+    });
+
+    if (!withEntries.anchorFound) {
+      return `Could not find the swagger config object in ${relativePath}. Add:\n    ${importLine}\n    schemas: { ${entries.join(", ")} }`;
+    }
+
+    fs.writeFileSync(filePath, withEntries.code, "utf-8");
+    return null;
+  } catch (err) {
+    return `Could not parse ${relativePath} (${err.message}). Add:\n    ${importLine}\n    schemas: { ${entries.join(", ")} }`;
+  }
+}
+
+/**
+ * Add vitest + supertest for the generated tests and point the placeholder
+ * test script at vitest. Returns the packages that were added.
+ */
+function addTestDependencies(project) {
+  const pkg = { ...project.pkg };
+  const added = [];
+
+  pkg.devDependencies = { ...pkg.devDependencies };
+  for (const [dep, version] of Object.entries(
+    TEST_DEPENDENCIES[project.language],
+  )) {
+    if (pkg.devDependencies[dep] || (pkg.dependencies || {})[dep]) continue;
+    pkg.devDependencies[dep] = version;
+    added.push(dep);
+  }
+
+  const testScript = (pkg.scripts || {}).test;
+  if (!testScript || testScript.startsWith("echo")) {
+    pkg.scripts = { ...pkg.scripts, test: "vitest run" };
+  }
+
+  if (added.length > 0 || pkg.scripts?.test !== testScript) {
+    writeJson(path.join(project.dir, "package.json"), pkg);
+  }
+
+  return added;
+}
+
+/**
+ * `create-charcole generate resource <name> --fields ...` — generate a CRUD
+ * resource module in the project in the current directory
+ */
+async function runGenerate(args, reporter = createReporter()) {
+  const positional = [];
+  let fieldsValue = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--fields") {
+      fieldsValue = args[++i];
+    } else if (arg.startsWith("--fields=")) {
+      fieldsValue = arg.slice("--fields=".length);
+    } else if (arg.startsWith("-")) {
+      throw new InvalidOptionsError(
+        `Unknown option ${arg}\n   Usage: ${usage()}`,
+      );
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [kind, rawName, ...fieldSpecs] = positional;
+  if (kind !== "resource" || !rawName || fieldsValue === undefined) {
+    throw new InvalidOptionsError(`Usage: ${usage()}`);
+  }
+  if (fieldSpecs.length > 0 && fieldsValue !== null) {
+    throw new InvalidOptionsError(
+      `Give the fields after the name or with --fields, not both\n   Usage: ${usage()}`,
+    );
+  }
+
+  let names;
+  let fields;
+  try {
+    names = getNames(rawName);
+    fields = parseFields(
+      fieldSpecs.length > 0
+        ? fieldSpecs.join(",")
+        : fieldsValue || "name:string",
+    );
+  } catch (err) {
+    throw new InvalidOptionsError(err.message);
+  }
+
+  const project = readProject(process.cwd());
+  const ext = project.language;
+  const files = listGeneratorFiles(
+    path.join(GENERATORS_DIR, "resource", project.language),
+    names,
+    project.dir,
+  );
+
+  const existing = files.filter((file) => fs.existsSync(file.dest));
+  if (existing.length > 0) {
+    throw new InvalidOptionsError(
+      `${names.name} already exists: ${existing.map((f) => f.relativePath).join(", ")}`,
+    );
+  }
+
+  reporter.info(`\n🧱 Generating the ${names.name} resource...`);
+
+  const context = { ...names, ...getFieldSnippets(fields) };
+  for (const file of files) {
+    const content = renderTemplate(
+      fs.readFileSync(file.src, "utf-8"),
+      context,
+      file.src,
+    );
+    fs.mkdirSync(path.dirname(file.dest), { recursive: true });
+    fs.writeFileSync(file.dest, content, "utf-8");
+    reporter.info(`✓ Created ${file.relativePath}`);
+  }
+
+  const manualSteps = [];
+  const routesFile = path.join("src", "routes", `index.${ext}`);
+  const routesStep = wireInto(project, routesFile, {
+    imports: [
+      `import ${names.camelName}Routes from "../modules/${names.name}/${names.name}.routes.${ext}";`,
+    ],
+    before: "export default router",
+    statements: [
+      `// ${names.title} routes\nrouter.use("/${names.routePath}", ${names.camelName}Routes);`,
+    ],
+  });
+  if (routesStep) {
+    manualSteps.push(routesStep);
+  } else {
+    reporter.info(`✓ Registered /api/${names.routePath} in ${routesFile}`);
+  }
+
+  const swaggerConfig = path.join("src", "config", `swagger.config.${ext}`);
+  if (fs.existsSync(path.join(project.dir, swaggerConfig))) {
+    const schemaNames = [
+      `create${names.PascalName}Schema`,
+      `update${names.PascalName}Schema`,
+    ];
+    const swaggerStep = registerSwaggerSchemas(project, swaggerConfig, {
+      importLine: `import { ${schemaNames.join(", ")} } from "../modules/${names.name}/${names.name}.schemas.${ext}";`,
+      entries: schemaNames,
+    });
+    if (swaggerStep) {
+      manualSteps.push(swaggerStep);
+    } else {
+      reporter.info(
+        `✓ Registered the ${names.name} schemas in ${swaggerConfig}`,
+      );
+    }
+  }
+
+  const addedDependencies = addTestDependencies(project);
+  if (addedDependencies.length > 0) {
+    reporter.info(`✓ Added ${addedDependencies.join(", ")} to devDependencies`);
+  }
+
+  reporter.record({
+    files: files.map((file) => file.relativePath),
+    nextSteps:
+      addedDependencies.length > 0
+        ? ["Install the new dev dependencies to run the generated tests"]
+        : [],
+    manualSteps,
+  });
+  reporter.finish(`Generated ${names.name} at /api/${names.routePath}`, {
+    resource: names.name,
+    path: `/api/${names.routePath}`,
+    addedDevDependencies: addedDependencies,
+  });
+}
+
+module.exports = {
+  toKebabCase,
+  wireInto,
+  registerSwaggerSchemas,
+  runGenerate,
+};
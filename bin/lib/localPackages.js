@@ -0,0 +1,101 @@
+const { execSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const { readJson } = require("./packageJson");
+
+// The @charcoles/* packages in this repo's working tree
+const PACKAGES_DIR = path.join(__dirname, "..", "..", "packages");
+
+// Where the packed builds go in a generated project
+const LOCAL_PACKAGES_DIR = "local-packages";
+
+/**
+ * The file name `npm pack` gives a package, e.g.
+ * `@charcoles/swagger@1.0.1` → `charcoles-swagger-1.0.1.tgz`
+ */
+function getTarballName({ name, version }) {
+  return `${name.replace(/^@/, "").replace("/", "-")}-${version}.tgz`;
+}
+
+/**
+ * The packages under packages/ that `pkg` depends on, with where each one's
+ * build will go in the project. Throws when there's no packages/ folder, i.e.
+ * the CLI isn't running from a checkout of the repo.
+ */
+function getLocalPackages(pkg) {
+  if (!fs.existsSync(PACKAGES_DIR)) {
+    throw new Error(
+      `--local-packages needs a checkout of the Charcole repo (no packages folder at ${PACKAGES_DIR})`,
+    );
+  }
+
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+
+  return fs
+    .readdirSync(PACKAGES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(PACKAGES_DIR, entry.name))
+    .filter((dir) => fs.existsSync(path.join(dir, "package.json")))
+    .map((dir) => {
+      const manifest = readJson(path.join(dir, "package.json"));
+      return {
+        name: manifest.name,
+        version: manifest.version,
+        dir,
+        tarball: path.posix.join(LOCAL_PACKAGES_DIR, getTarballName(manifest)),
+      };
+    })
+    .filter((local) => dependencies[local.name] !== undefined);
+}
+
+/**
+ * Point the dependencies on local packages at their packed builds
+ */
+function useLocalPackages(pkg, localPackages) {
+  const result = { ...pkg };
+
+  for (const field of ["dependencies", "devDependencies"]) {
+    if (!pkg[field]) continue;
+    result[field] = { ...pkg[field] };
+    for (const local of localPackages) {
+      if (result[field][local.name] !== undefined) {
+        result[field][local.name] = `file:./${local.tarball}`;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * `npm pack` each local package into the project's local-packages/ folder.
+ * Returns the tarballs written, relative to the project.
+ */
+function packLocalPackages(projectDir, localPackages) {
+  const destDir = path.join(projectDir, LOCAL_PACKAGES_DIR);
+  fs.mkdirSync(destDir, { recursive: true });
+
+  for (const local of localPackages) {
+    execSync(`npm pack --pack-destination "${destDir}"`, {
+      cwd: local.dir,
+      stdio: "pipe",
+    });
+
+    if (!fs.existsSync(path.join(projectDir, local.tarball))) {
+      throw new Error(
+        `npm pack did not produce ${local.tarball} for ${local.name}`,
+      );
+    }
+  }
+
+  return localPackages.map((local) => local.tarball);
+}
+
+module.exports = {
+  PACKAGES_DIR,
+  LOCAL_PACKAGES_DIR,
+  getLocalPackages,
+  useLocalPackages,
+  packLocalPackages,
+};
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { version: CLI_VERSION } = require("../../package.json");
+const { readJson, writeJson } = require("./packageJson");
+
+const LOCKFILE = ".charcole.json";
+
+// Not tracked: secrets, installed packages, git data and install-only tarballs
+const UNTRACKED = [
+  ".git",
+  "node_modules",
+  ".env",
+  ".env.development",
+  ".env.test",
+  ".env.production",
+  LOCKFILE,
+];
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function hashFile(filePath) {
+  return hashContent(fs.readFileSync(filePath));
+}
+
+/**
+ * Every file of a project that the lockfile keeps a hash for, as
+ * forward-slash relative paths
+ */
+function listTrackedFiles(projectDir, dir = projectDir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (UNTRACKED.includes(entry.name) || entry.name.endsWith(".tgz")) {
+      continue;
+    }
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listTrackedFiles(projectDir, entryPath));
+    } else {
+      files.push(
+        path.relative(projectDir, entryPath).split(path.sep).join("/"),
+      );
+    }
+  }
+
+  return files.sort();
+}
+
+function hashFiles(projectDir, files) {
+  const hashes = {};
+  for (const file of files) {
+    hashes[file] = hashFile(path.join(projectDir, file));
+  }
+  return hashes;
+}
+
+/**
+ * Record how a project was generated: the CLI version, the custom template
+ * if there was one, the answers that produced it (in preset format) and a
+ * hash of every generated file
+ */
+function writeLockfile(
+  projectDir,
+  { projectName, language, template, answers },
+) {
+  writeJson(path.join(projectDir, LOCKFILE), {
+    version: CLI_VERSION,
+    projectName,
+    language,
+    ...(template && { template }),
+    answers,
+    files: hashFiles(projectDir, listTrackedFiles(projectDir)),
+  });
+}
+
+function readLockfile(projectDir) {
+  const lockPath = path.join(projectDir, LOCKFILE);
+  return fs.existsSync(lockPath) ? readJson(lockPath) : null;
+}
+
+/**
+ * Bring the lockfile in line after `add` / `remove`: merge in the new answers
+ * and re-hash the given files (files that no longer exist are dropped).
+ * Projects without a lockfile are left alone.
+ */
+function updateLockfile(projectDir, { answers = {}, files = [] }) {
+  const lock = readLockfile(projectDir);
+  if (!lock) return;
+
+  lock.answers = { ...lock.answers, ...answers };
+  for (const [key, value] of Object.entries(lock.answers)) {
+    if (value === undefined) delete lock.answers[key];
+  }
+
+  for (const file of files) {
+    const relativePath = path
+      .relative(projectDir, path.resolve(projectDir, file))
+      .split(path.sep)
+      .join("/");
+    const fullPath = path.join(projectDir, relativePath);
+
+    if (!fs.existsSync(fullPath)) {
+      for (const tracked of Object.keys(lock.files)) {
+        if (
+          tracked === relativePath ||
+          tracked.startsWith(`${relativePath}/`)
+        ) {
+          delete lock.files[tracked];
+        }
+      }
+    } else if (fs.statSync(fullPath).isDirectory()) {
+      Object.assign(
+        lock.files,
+        hashFiles(projectDir, listTrackedFiles(projectDir, fullPath)),
+      );
+    } else {
+      lock.files[relativePath] = hashFile(fullPath);
+    }
+  }
+
+  lock.files = Object.fromEntries(
+    Object.entries(lock.files).sort(([a], [b]) => a.localeCompare(b)),
+  );
+  writeJson(path.join(projectDir, LOCKFILE), lock);
+}
+
+module.exports = {
+  LOCKFILE,
+  CLI_VERSION,
+  hashContent,
+  hashFile,
+  listTrackedFiles,
+  writeLockfile,
+  readLockfile,
+  updateLockfile,
+};
@@ -0,0 +1,532 @@
+const fs = require("fs");
+const path = require("path");
+
+const { mergePackageJson, readJson } = require("./packageJson");
+const { copyDir, copyFile } = require("./templateHandler");
+const {
+  ENV_FILES,
+  isExampleEnvFile,
+  getEnvFileSecrets,
+  appendEnvVars,
+} = require("./envFile");
+const {
+  renderTemplate,
+  findElseRegions,
+  renderFiles,
+  getRenderContext,
+} = require("./templateRenderer");
+const {
+  addImports,
+  insertStatements,
+  removeModuleReferences,
+} = require("./codemod");
+
+/**
+ * What's wrong with an answer to a follow-up question, or null if nothing is.
+ * `list` answers are checked item by item against the option's `pattern`.
+ */
+function getOptionProblem(option, value) {
+  const values = option.type === "list" ? value : [value];
+
+  if (option.type === "list" && values.length === 0) {
+    return "needs at least one value";
+  }
+  if (values.some((item) => typeof item === "string" && item.trim() === "")) {
+    return "must not be empty";
+  }
+  if (
+    option.pattern &&
+    values.some((item) => !new RegExp(option.pattern).test(item))
+  ) {
+    return option.patternMessage || `must match ${option.pattern}`;
+  }
+  return null;
+}
+
+/**
+ * A follow-up question in prompts format: `list` defaults are shown as text
+ * and `pattern` becomes a validate function
+ */
+function toPromptQuestion(option) {
+  const { pattern, patternMessage, ...question } = option;
+
+  if (option.type === "list" && Array.isArray(option.initial)) {
+    question.initial = option.initial.join(", ");
+  }
+  if (option.type === "text" || option.type === "list") {
+    question.validate = (input) => {
+      const value =
+        option.type === "list"
+          ? input.split(",").map((item) => item.trim())
+          : input.trim();
+      const problem = getOptionProblem(option, value);
+      return problem ? `Answer ${problem}` : true;
+    };
+  }
+  if (option.type === "text") question.format = (input) => input.trim();
+
+  return question;
+}
+
+/**
+ * Fill in defaults for follow-up questions that weren't answered
+ */
+function resolveModuleOptions(mod, answers = {}) {
+  const resolved = {};
+
+  for (const option of mod.options) {
+    if (answers[option.name] !== undefined) {
+      resolved[option.name] = answers[option.name];
+    } else if (option.choices) {
+      resolved[option.name] = option.choices[option.initial || 0].value;
+    } else {
+      resolved[option.name] = option.initial;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * The manifest with the module's answers filled into the `{{variables}}` of
+ * its inject statements, docker services and references — e.g. the payments
+ * mount path
+ */
+function applyModuleAnswers(mod, answers = {}) {
+  const context = resolveModuleOptions(mod, answers);
+  const render = (value) => {
+    if (typeof value === "string") return renderTemplate(value, context);
+    if (Array.isArray(value)) return value.map(render);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, render(item)]),
+      );
+    }
+    return value;
+  };
+
+  return {
+    ...mod,
+    inject: render(mod.inject),
+    docker: render(mod.docker),
+    references: render(mod.references),
+  };
+}
+
+/**
+ * A module's `env` with only the vars whose `when` matches the answers, e.g.
+ * without LemonSqueezy's keys when Stripe is the provider. Null when the
+ * module has no env vars.
+ */
+function getModuleEnv(mod, answers = {}) {
+  if (!mod.env) return null;
+  const options = resolveModuleOptions(mod, answers);
+  return {
+    ...mod.env,
+    vars: mod.env.vars.filter((v) =>
+      Object.entries(v.when || {}).every(([name, values]) =>
+        values.includes(options[name]),
+      ),
+    ),
+  };
+}
+
+/**
+ * Env values that come from a module's answers rather than its defaults
+ */
+function getOptionEnvValues(mod, answers) {
+  const values = {};
+
+  for (const option of mod.options) {
+    if (!option.env || answers[option.name] === undefined) continue;
+
+    const choice = (option.choices || []).find(
+      (c) => c.value === answers[option.name],
+    );
+    values[option.env] =
+      choice && choice.envValue !== undefined
+        ? choice.envValue
+        : answers[option.name];
+  }
+
+  return values;
+}
+
+/**
+ * Absolute paths of everything a module owns in a project
+ */
+function getModulePaths(project, mod) {
+  return [mod.dir, ...mod.files]
+    .filter(Boolean)
+    .map((relativePath) => path.join(project.dir, relativePath));
+}
+
+/**
+ * Files in the module folder that describe the module rather than belong to
+ * the generated project
+ */
+function getModuleExcludedFiles(mod) {
+  return ["package.json", "module.json", ...mod.tarballs];
+}
+
+/**
+ * Copy the module's folder and extra files without overwriting anything the
+ * user already has. Paths the template doesn't have are returned as `missing`.
+ */
+function copyModuleFiles(project, mod) {
+  const result = { copied: [], skipped: [], missing: [] };
+
+  for (const relativePath of [mod.dir, ...mod.files].filter(Boolean)) {
+    const src = path.join(project.templateDir, relativePath);
+    const dest = path.join(project.dir, relativePath);
+
+    if (!fs.existsSync(src)) {
+      result.missing.push(relativePath);
+      continue;
+    }
+
+    if (fs.statSync(src).isDirectory()) {
+      const excluded = getModuleExcludedFiles(mod);
+      copyDir(src, dest, excluded, { overwrite: false }, result);
+    } else {
+      copyFile(src, dest, { overwrite: false }, result);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Copy the module's tarballs to the project root so the package manager can
+ * install them. Returns the `copied` paths so they can be cleaned up
+ * afterwards, and the `missing` ones.
+ */
+function copyModuleTarballs(project, mod) {
+  const copied = [];
+  const missing = [];
+
+  for (const tarball of mod.tarballs) {
+    const src = path.join(mod.templateDir, tarball);
+    const dest = path.join(project.dir, tarball);
+
+    if (!fs.existsSync(src)) {
+      missing.push(src);
+      continue;
+    }
+
+    fs.copyFileSync(src, dest);
+    copied.push(dest);
+  }
+
+  return { copied, missing };
+}
+
+/**
+ * Wire the module into app/routes files. Anything that can't be placed
+ * automatically is returned as a manual step.
+ */
+function injectModuleCode(project, mod) {
+  const manualSteps = [];
+  const updated = [];
+
+  for (const point of mod.inject) {
+    const filePath = path.join(project.dir, point.file);
+    const wanted = [...point.imports, ...point.statements].join("\n    ");
+
+    if (!fs.existsSync(filePath)) {
+      manualSteps.push(`${point.file} not found. Add:\n    ${wanted}`);
+      continue;
+    }
+
+    const original = fs.readFileSync(filePath, "utf-8");
+
+    try {
+      const withImports = addImports(original, project.language, point.imports);
+      const withStatements = insertStatements(
+        withImports.code,
+        project.language,
+        point,
+      );
+
+      if (!withStatements.anchorFound) {
+        manualSteps.push(
+          `Could not find \`${point.before}\` in ${point.file}. Add before it:\n    ${point.statements.join("\n    ")}`,
+        );
+      }
+
+      if (withStatements.code !== original) {
+        fs.writeFileSync(filePath, withStatements.code, "utf-8");
+        updated.push(point.file);
+      }
+    } catch (err) {
+      manualSteps.push(
+        `Could not parse ${point.file} (${err.message}). Add:\n    ${wanted}`,
+      );
+    }
+  }
+
+  return { updated, manualSteps };
+}
+
+/**
+ * Add a module to a project directory: merge its package.json fragment into
+ * `project.pkg`, copy its files, append its env vars and wire it into the
+ * app. The caller writes package.json, runs the install and reports the
+ * `warnings`.
+ */
+function installModule(project, manifest, answers = {}) {
+  const mod = applyModuleAnswers(manifest, answers);
+  const result = {
+    pkg: project.pkg,
+    dependencies: [],
+    copied: [],
+    skipped: [],
+    envAdded: [],
+    updated: [],
+    manualSteps: [],
+    tarballs: [],
+    warnings: [],
+  };
+
+  // 1. Merge the module's package.json fragment
+  const fragmentPath = path.join(mod.templateDir, "package.json");
+  if (fs.existsSync(fragmentPath)) {
+    const fragment = readJson(fragmentPath);
+    result.pkg = mergePackageJson(project.pkg, fragment);
+    result.dependencies = Object.keys({
+      ...fragment.dependencies,
+      ...fragment.devDependencies,
+    });
+  }
+
+  // 2. Copy module files, keeping any the user already has, and render them
+  // for the modules the project will have once this one is in
+  const files = copyModuleFiles(project, mod);
+  result.copied = files.copied;
+  result.skipped = files.skipped;
+  for (const relativePath of files.missing) {
+    result.warnings.push(`Template path not found, skipping: ${relativePath}`);
+  }
+  renderFiles(
+    result.copied,
+    getRenderContext({
+      ...project,
+      pkg: result.pkg,
+      modules: { ...project.modules, [mod.name]: true },
+      answers: resolveModuleOptions(mod, answers),
+    }),
+  );
+  const tarballs = copyModuleTarballs(project, mod);
+  result.tarballs = tarballs.copied;
+  for (const src of tarballs.missing) {
+    result.warnings.push(`${mod.name} tarball not found at: ${src}`);
+  }
+
+  // 3. Env vars — answers and generated secrets only go into the real env
+  // files, the examples keep placeholders and leave secrets out. Each file
+  // gets its own secrets.
+  const env = getModuleEnv(mod, answers);
+  if (env) {
+    const envValues = getOptionEnvValues(mod, answers);
+
+    for (const envFile of ENV_FILES) {
+      const envPath = path.join(project.dir, envFile);
+      if (envFile !== ".env.example" && !fs.existsSync(envPath)) continue;
+
+      const added = appendEnvVars(envPath, env, {
+        ...getEnvFileSecrets(envFile, env),
+        ...(isExampleEnvFile(envFile) ? {} : envValues),
+      });
+      if (added.length > 0) result.envAdded.push({ file: envFile, added });
+    }
+  }
+
+  // 4. Wire into app and routes
+  const injected = injectModuleCode(project, mod);
+  result.updated = injected.updated;
+  result.manualSteps = injected.manualSteps;
+
+  return result;
+}
+
+/**
+ * Apply a database variant: merge its package.json fragment into
+ * `project.pkg` and copy its `src/` tree over the base template's in-memory
+ * repositories. The in-memory variant has no files and changes nothing.
+ */
+function installDatabase(project, database) {
+  const result = { pkg: project.pkg, dependencies: [], copied: [] };
+
+  const fragmentPath = path.join(database.templateDir, "package.json");
+  if (fs.existsSync(fragmentPath)) {
+    const fragment = readJson(fragmentPath);
+    result.pkg = mergePackageJson(project.pkg, fragment);
+    result.dependencies = Object.keys({
+      ...fragment.dependencies,
+      ...fragment.devDependencies,
+    });
+  }
+
+  const srcDir = path.join(database.templateDir, "src");
+  if (fs.existsSync(srcDir)) {
+    copyDir(srcDir, path.join(project.dir, "src"), [], {}, result);
+    renderFiles(
+      result.copied,
+      getRenderContext({ ...project, pkg: result.pkg }),
+    );
+  }
+
+  return result;
+}
+
+function listSourceFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listSourceFiles(entryPath));
+    } else if (/\.(js|ts)$/.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Put back what a template file has in place of the module's code when the
+ * module is out — the `@else` of its `@if <module>` regions, e.g. the local
+ * `User` type user.repo.ts falls back to without auth. Returns the new code
+ * and the first line of each region it replaced.
+ */
+function applyTemplateFallbacks(project, mod, relativePath, code) {
+  const variantPath =
+    project.database &&
+    path.join(project.templateDir, "databases", project.database, relativePath);
+  const templatePath =
+    variantPath && fs.existsSync(variantPath)
+      ? variantPath
+      : path.join(project.templateDir, relativePath);
+
+  const context = getRenderContext(project);
+  const removed = [];
+
+  for (const region of findElseRegions(
+    fs.readFileSync(templatePath, "utf-8"),
+    mod.name,
+  )) {
+    const kept = renderTemplate(region.kept.join("\n"), context);
+    if (kept.trim() === "" || !code.includes(kept)) continue;
+
+    const fallback = renderTemplate(region.fallback.join("\n"), {
+      ...context,
+      [mod.name]: false,
+    });
+    code = code.replace(kept, () => fallback);
+    removed.push(kept.trim().split("\n")[0]);
+  }
+
+  return { code, removed };
+}
+
+/**
+ * Take a module's code out of every source file outside the module itself.
+ * Files that came from the Charcole template are rewritten; the user's own
+ * files, and template files that can't be edited safely, end up in the
+ * returned manual steps.
+ */
+function stripModuleReferences(project, mod) {
+  const modulePaths = getModulePaths(project, mod);
+  const isModuleFile = (file) =>
+    modulePaths.some(
+      (owned) => file === owned || file.startsWith(owned + path.sep),
+    );
+
+  const updated = [];
+  const manualSteps = [];
+
+  for (const filePath of listSourceFiles(path.join(project.dir, "src"))) {
+    if (isModuleFile(filePath)) continue;
+
+    const relativePath = path.relative(project.dir, filePath);
+    const original = fs.readFileSync(filePath, "utf-8");
+    if (!mod.references.some((reference) => original.includes(reference))) {
+      continue;
+    }
+
+    if (!fs.existsSync(path.join(project.templateDir, relativePath))) {
+      manualSteps.push(
+        `${relativePath} uses the ${mod.name} module — remove those references`,
+      );
+      continue;
+    }
+
+    const withFallbacks = applyTemplateFallbacks(
+      project,
+      mod,
+      relativePath,
+      original,
+    );
+
+    let result;
+    try {
+      result = removeModuleReferences(
+        withFallbacks.code,
+        project.language,
+        mod.references,
+      );
+      // Line numbers in the report are the ones in the user's file
+      if (result.unsafe.length > 0 && withFallbacks.code !== original) {
+        result = removeModuleReferences(
+          original,
+          project.language,
+          mod.references,
+        );
+      }
+    } catch (err) {
+      manualSteps.push(`Could not parse ${relativePath} (${err.message})`);
+      continue;
+    }
+
+    if (result.unsafe.length > 0) {
+      const places = result.unsafe
+        .map((place) => {
+          if (!place.usedOn) {
+            return `line ${place.line}: ${place.code} (${place.name})`;
+          }
+          const lines = [...new Set(place.usedOn)];
+          return `line ${place.line}: ${place.code} (${place.name} is still used on line${lines.length > 1 ? "s" : ""} ${lines.join(", ")})`;
+        })
+        .join("\n    ");
+      manualSteps.push(
+        `${relativePath} was left unchanged — remove these by hand:\n    ${places}`,
+      );
+      continue;
+    }
+
+    if (result.code !== original) {
+      fs.writeFileSync(filePath, result.code, "utf-8");
+      updated.push({
+        file: relativePath,
+        removed: [...withFallbacks.removed, ...result.removed],
+      });
+    }
+  }
+
+  return { updated, manualSteps };
+}
+
+module.exports = {
+  getOptionProblem,
+  toPromptQuestion,
+  resolveModuleOptions,
+  applyModuleAnswers,
+  getModuleEnv,
+  getOptionEnvValues,
+  getModuleExcludedFiles,
+  getModulePaths,
+  installModule,
+  installDatabase,
+  stripModuleReferences,
+};
@@ -0,0 +1,399 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readLockfile } = require("./lockfile");
+const { NotAProjectError } = require("./errors");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "..", "template");
+const MANIFEST_FILE = "module.json";
+const DATABASE_MANIFEST_FILE = "database.json";
+const DEFAULT_DATABASE = "memory";
+
+/**
+ * Optional modules are described by a `module.json` manifest next to the
+ * module's `package.json` fragment in `template/<language>/src/modules/<name>/`.
+ * Paths in a manifest are relative to the project root:
+ *
+ * - `prompt` / `options` — the include question and its follow-up questions;
+ *   an option's `pattern` checks text and list answers, and its answer fills
+ *   `{{name}}` in the module's files, inject statements and references
+ * - `requires` / `conflicts` — other modules it needs or can't be used with
+ * - `dir` / `files` — the module folder and any extra files it owns
+ * - `tarballs` — local package tarballs (in the module folder) for install
+ * - `env` — env vars appended to `.env` / `.env.example`; a var's `when`
+ *   (`{ "<option>": [answers] }`) leaves it out for other answers
+ * - `inject` — imports and statements wired into app and routes files
+ * - `docker` — services added to docker-compose.yml when containerizing
+ * - `references` — import specifiers and path fragments that point into the
+ *   module, used to take it back out
+ */
+function getTemplateDir(language) {
+  return path.join(TEMPLATES_DIR, language);
+}
+
+function getModulesDir(templateDir) {
+  return path.join(templateDir, "src", "modules");
+}
+
+/**
+ * Load a module manifest for the given language. `templateDir` points at a
+ * custom template (`--template`) instead of the built-in one.
+ */
+function getModule(name, language, templateDir = getTemplateDir(language)) {
+  const moduleDir = path.join(getModulesDir(templateDir), name);
+  const manifestPath = path.join(moduleDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Invalid module manifest ${manifestPath}: ${err.message}`);
+  }
+
+  return {
+    options: [],
+    requires: [],
+    conflicts: [],
+    dir: null,
+    files: [],
+    tarballs: [],
+    env: null,
+    inject: [],
+    references: [],
+    docker: null,
+    ...manifest,
+    name,
+    templateDir: moduleDir,
+  };
+}
+
+/**
+ * All optional modules available for a language, in prompt order
+ */
+function listModules(language, templateDir = getTemplateDir(language)) {
+  const modulesDir = getModulesDir(templateDir);
+  if (!fs.existsSync(modulesDir)) return [];
+
+  return fs
+    .readdirSync(modulesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => getModule(entry.name, language, templateDir))
+    .filter(Boolean)
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+}
+
+function getDatabasesDir(templateDir) {
+  return path.join(templateDir, "databases");
+}
+
+/**
+ * Load a database variant for the given language. Each variant lives in
+ * `template/<language>/databases/<name>/` with a `database.json` manifest, a
+ * `package.json` fragment and a `src/` tree copied over the base template.
+ */
+function getDatabase(name, language, templateDir = getTemplateDir(language)) {
+  const databaseDir = path.join(getDatabasesDir(templateDir), name);
+  const manifestPath = path.join(databaseDir, DATABASE_MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (err) {
+    throw new Error(
+      `Invalid database manifest ${manifestPath}: ${err.message}`,
+    );
+  }
+
+  return { ...manifest, name, templateDir: databaseDir };
+}
+
+/**
+ * All database variants available for a language, in prompt order
+ */
+function listDatabases(language, templateDir = getTemplateDir(language)) {
+  const databasesDir = getDatabasesDir(templateDir);
+  if (!fs.existsSync(databasesDir)) return [];
+
+  return fs
+    .readdirSync(databasesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => getDatabase(entry.name, language, templateDir))
+    .filter(Boolean)
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+}
+
+/**
+ * The database prompt, built from the variants available for a language
+ */
+function getDatabasePrompt(language, templateDir = getTemplateDir(language)) {
+  const databases = listDatabases(language, templateDir);
+  return {
+    type: "select",
+    name: "database",
+    message: "Database:",
+    choices: databases.map((database) => ({
+      title: database.title,
+      description: database.description,
+      value: database.name,
+    })),
+    initial: Math.max(
+      0,
+      databases.findIndex((database) => database.name === DEFAULT_DATABASE),
+    ),
+  };
+}
+
+/**
+ * Which database a project was generated with, going by the dependencies in
+ * its package.json
+ */
+function detectDatabase(language, pkg, templateDir) {
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+
+  for (const database of listDatabases(language, templateDir)) {
+    const fragmentPath = path.join(database.templateDir, "package.json");
+    if (!fs.existsSync(fragmentPath)) continue;
+
+    const fragment = JSON.parse(fs.readFileSync(fragmentPath, "utf-8"));
+    const required = Object.keys(fragment.dependencies || {});
+    if (required.length > 0 && required.every((dep) => dep in dependencies)) {
+      return database.name;
+    }
+  }
+
+  return DEFAULT_DATABASE;
+}
+
+/**
+ * Check a selection of modules against their `requires` and `conflicts`.
+ * Returns a list of problems (empty when the selection is valid).
+ */
+function validateSelection(modules) {
+  const selected = new Set(modules.map((mod) => mod.name));
+  const problems = [];
+
+  for (const mod of modules) {
+    for (const required of mod.requires) {
+      if (!selected.has(required)) {
+        problems.push(`${mod.name} requires the ${required} module`);
+      }
+    }
+    for (const conflict of mod.conflicts) {
+      if (selected.has(conflict)) {
+        problems.push(`${mod.name} can't be used together with ${conflict}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The language of a template folder, going by its `src/app` file
+ */
+function detectTemplateLanguage(templateDir) {
+  for (const language of ["ts", "js"]) {
+    if (fs.existsSync(path.join(templateDir, "src", `app.${language}`))) {
+      return language;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a custom template folder has the layout of `template/<language>`
+ * and that its manifests point at files that exist. Returns a list of
+ * problems (empty when the template is usable).
+ */
+function validateTemplate(templateDir) {
+  if (!fs.existsSync(templateDir) || !fs.statSync(templateDir).isDirectory()) {
+    return [`${templateDir} is not a folder`];
+  }
+
+  const problems = [];
+  const exists = (...parts) => fs.existsSync(path.join(...parts));
+
+  if (!exists(templateDir, "basePackage.json")) {
+    problems.push(
+      "basePackage.json is missing — it is the package.json every project starts from",
+    );
+  } else {
+    try {
+      JSON.parse(
+        fs.readFileSync(path.join(templateDir, "basePackage.json"), "utf-8"),
+      );
+    } catch (err) {
+      problems.push(`basePackage.json is not valid JSON (${err.message})`);
+    }
+  }
+
+  const language = detectTemplateLanguage(templateDir);
+  if (!language) {
+    problems.push(
+      "src/app.ts or src/app.js is missing — it tells the CLI the template's language",
+    );
+  }
+
+  const modulesDir = getModulesDir(templateDir);
+  if (!fs.existsSync(modulesDir)) {
+    problems.push(
+      "src/modules is missing — create it, even if the template has no optional modules",
+    );
+  }
+
+  // The manifests can only be checked once the language and folder are known
+  if (!language || !fs.existsSync(modulesDir)) return problems;
+
+  const modules = [];
+  for (const entry of fs.readdirSync(modulesDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const mod = getModule(entry.name, language, templateDir);
+      if (mod) modules.push(mod);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+
+  const names = new Set(modules.map((mod) => mod.name));
+  for (const mod of modules) {
+    const where = `src/modules/${mod.name}/${MANIFEST_FILE}`;
+
+    if (!mod.prompt || !mod.prompt.type || !mod.prompt.name) {
+      problems.push(`${where}: "prompt" needs a "type" and a "name"`);
+    }
+    for (const relativePath of [mod.dir, ...mod.files].filter(Boolean)) {
+      if (!exists(templateDir, relativePath)) {
+        problems.push(`${where}: ${relativePath} is not in the template`);
+      }
+    }
+    for (const tarball of mod.tarballs) {
+      if (!exists(mod.templateDir, tarball)) {
+        problems.push(
+          `${where}: tarball ${tarball} is not in the module folder`,
+        );
+      }
+    }
+    for (const other of [...mod.requires, ...mod.conflicts]) {
+      if (!names.has(other)) {
+        problems.push(
+          `${where}: refers to a module "${other}" that doesn't exist`,
+        );
+      }
+    }
+    for (const option of mod.options) {
+      if (option.pattern === undefined) continue;
+      try {
+        new RegExp(option.pattern);
+      } catch (err) {
+        problems.push(
+          `${where}: option "${option.name}" has an invalid pattern (${err.message})`,
+        );
+      }
+    }
+    for (const v of mod.env ? mod.env.vars : []) {
+      for (const name of Object.keys(v.when || {})) {
+        if (!mod.options.some((option) => option.name === name)) {
+          problems.push(
+            `${where}: env var ${v.key} depends on an option "${name}" that doesn't exist`,
+          );
+        }
+      }
+    }
+    for (const point of mod.inject) {
+      if (!point.file || !exists(templateDir, point.file)) {
+        problems.push(
+          `${where}: inject target ${point.file} is not in the template`,
+        );
+      }
+    }
+  }
+
+  try {
+    listDatabases(language, templateDir);
+  } catch (err) {
+    problems.push(err.message);
+  }
+
+  return problems;
+}
+
+/**
+ * Whether a module is part of a project: its folder exists or, for modules
+ * without a folder, all of its dependencies are in package.json
+ */
+function isInstalled(mod, projectDir, pkg) {
+  if (mod.dir) {
+    return fs.existsSync(path.join(projectDir, mod.dir));
+  }
+
+  const fragmentPath = path.join(mod.templateDir, "package.json");
+  if (!fs.existsSync(fragmentPath)) return false;
+
+  const fragment = JSON.parse(fs.readFileSync(fragmentPath, "utf-8"));
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+  const required = Object.keys(fragment.dependencies || {});
+  return required.length > 0 && required.every((dep) => dep in dependencies);
+}
+
+/**
+ * Inspect an existing Charcole project: its language and which modules it has
+ */
+function readProject(projectDir) {
+  const pkgPath = path.join(projectDir, "package.json");
+  if (!fs.existsSync(pkgPath)) {
+    throw new NotAProjectError(
+      `No package.json found in ${projectDir}. Run this command inside a Charcole project.`,
+    );
+  }
+
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
+  const lock = readLockfile(projectDir);
+  const language = fs.existsSync(path.join(projectDir, "src", "app.ts"))
+    ? "ts"
+    : "js";
+
+  if (!fs.existsSync(path.join(projectDir, "src", `app.${language}`))) {
+    throw new NotAProjectError(
+      `src/app.js or src/app.ts not found in ${projectDir}. Is this a Charcole project?`,
+    );
+  }
+
+  // Projects made with `--template` keep using that template
+  const templateDir =
+    lock && lock.template && fs.existsSync(lock.template)
+      ? lock.template
+      : getTemplateDir(language);
+
+  const modules = {};
+  for (const mod of listModules(language, templateDir)) {
+    modules[mod.name] = isInstalled(mod, projectDir, pkg);
+  }
+
+  return {
+    dir: projectDir,
+    pkg,
+    language,
+    templateDir,
+    database: detectDatabase(language, pkg, templateDir),
+    modules,
+    // The answers it was made with, in preset format
+    answers: (lock && lock.answers) || {},
+  };
+}
+
+module.exports = {
+  DEFAULT_DATABASE,
+  getTemplateDir,
+  getModule,
+  listModules,
+  getDatabase,
+  listDatabases,
+  getDatabasePrompt,
+  detectTemplateLanguage,
+  validateTemplate,
+  validateSelection,
+  readProject,
+};
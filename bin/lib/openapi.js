@@ -0,0 +1,968 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const { readProject } = require("./modules");
+const { createReporter } = require("./reporter");
+const { CharcoleError, InvalidOptionsError } = require("./errors");
+const { renderTemplate } = require("./templateRenderer");
+const {
+  toKebabCase,
+  wireInto,
+  registerSwaggerSchemas,
+} = require("./generateResource");
+
+const GENERATORS_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "template",
+  "generators",
+  "openapi",
+);
+
+// The operations Express can route, in the order they're written out
+const METHODS = ["get", "post", "put", "patch", "delete", "head", "options"];
+
+const SCHEMA_REF = "#/components/schemas/";
+
+// Zod refinements for the string formats that have one
+const STRING_FORMATS = {
+  email: ".email()",
+  uuid: ".uuid()",
+  uri: ".url()",
+  url: ".url()",
+  "date-time": ".datetime({ offset: true })",
+  date: ".date()",
+  ipv4: '.ip({ version: "v4" })',
+  ipv6: '.ip({ version: "v6" })',
+};
+
+// Operation ids that can't be used as a `const` name as they are
+const RESERVED_WORDS = new Set(
+  (
+    "break case catch class const continue debugger default delete do else " +
+    "enum export extends false finally for function if import in instanceof " +
+    "new null return super switch this throw true try typeof var void while " +
+    "with yield let static implements interface package private protected " +
+    "public await"
+  ).split(" "),
+);
+
+/**
+ * Read an OpenAPI 3 document from a YAML or JSON file
+ */
+function loadOpenApiSpec(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`OpenAPI document not found: ${file}`);
+  }
+
+  let spec;
+  try {
+    spec = YAML.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Failed to parse ${file}: ${err.message}`);
+  }
+
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`${file} isn't an OpenAPI document`);
+  }
+  if (spec.swagger) {
+    throw new Error(
+      `${file} is a Swagger ${spec.swagger} document — only OpenAPI 3 is supported`,
+    );
+  }
+  if (typeof spec.openapi !== "string" || !spec.openapi.startsWith("3.")) {
+    throw new Error(
+      `${file} isn't an OpenAPI 3 document (expected "openapi: 3.x")`,
+    );
+  }
+  if (!spec.paths || Object.keys(spec.paths).length === 0) {
+    throw new Error(`${file} has no paths to generate routes from`);
+  }
+
+  return spec;
+}
+
+function decodePointer(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * What a local `$ref` like `#/components/parameters/limit` points at
+ */
+function resolveRef(spec, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(
+      `External $ref "${ref}" isn't supported — bundle the document into one file first`,
+    );
+  }
+  const target = ref
+    .slice(2)
+    .split("/")
+    .map(decodePointer)
+    .reduce((node, key) => (node === undefined ? node : node[key]), spec);
+  if (target === undefined) {
+    throw new Error(`$ref "${ref}" doesn't point at anything`);
+  }
+  return target;
+}
+
+/**
+ * Follow `$ref`s until there's an object that isn't one
+ */
+function deref(spec, value) {
+  let current = value;
+  for (let depth = 0; current && current.$ref; depth++) {
+    if (depth > 20) throw new Error(`$ref "${value.$ref}" never resolves`);
+    current = resolveRef(spec, current.$ref);
+  }
+  return current;
+}
+
+/**
+ * A copy of `value` with every `$ref` resolved except the ones to
+ * components.schemas, which the Swagger config registers by name
+ */
+function inlineRefs(spec, value, seen = []) {
+  if (Array.isArray(value)) {
+    return value.map((item) => inlineRefs(spec, item, seen));
+  }
+  if (!value || typeof value !== "object") return value;
+
+  if (typeof value.$ref === "string" && !value.$ref.startsWith(SCHEMA_REF)) {
+    if (seen.includes(value.$ref)) {
+      throw new Error(`$ref "${value.$ref}" refers to itself`);
+    }
+    return inlineRefs(spec, resolveRef(spec, value.$ref), [
+      ...seen,
+      value.$ref,
+    ]);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      inlineRefs(spec, item, seen),
+    ]),
+  );
+}
+
+/**
+ * `list_pets`, `pets.list` and `ListPets` all become `listPets`
+ */
+function toIdentifier(value) {
+  const words = String(value)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return "";
+
+  const identifier = words
+    .map((word, index) => {
+      if (index > 0) return word[0].toUpperCase() + word.slice(1);
+      return word === word.toUpperCase()
+        ? word.toLowerCase()
+        : word[0].toLowerCase() + word.slice(1);
+    })
+    .join("");
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/**
+ * `name`, or `name2`, `name3`... when it's already taken
+ */
+function claimName(name, taken) {
+  let candidate = name;
+  for (let i = 2; taken.has(candidate); i++) candidate = `${name}${i}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * An import line, split over several lines when it's too long for one
+ */
+function formatImport(names, from) {
+  const line = `import { ${names.join(", ")} } from "${from}";`;
+  if (line.length <= 80) return line;
+  return `import {\n${names.map((name) => `  ${name},`).join("\n")}\n} from "${from}";`;
+}
+
+/**
+ * A block comment, with anything that would close it early escaped
+ */
+function formatComment(lines) {
+  const body = lines.map((line) =>
+    ` * ${line.replace(/\*\//g, "*\\/")}`.trimEnd(),
+  );
+  return ["/**", ...body, " */"].join("\n");
+}
+
+/**
+ * The Zod expression for a JSON schema. A `$ref` to a component uses its
+ * generated schema — through `z.lazy` when that isn't defined yet, as in a
+ * cycle. `coerce` is for path and query parameters, which arrive as strings.
+ */
+function toZod(schema, context, indent = "", coerce = false) {
+  if (!schema || typeof schema !== "object") return "z.unknown()";
+
+  if (typeof schema.$ref === "string") {
+    if (!schema.$ref.startsWith(SCHEMA_REF)) {
+      return toZod(
+        resolveRef(context.spec, schema.$ref),
+        context,
+        indent,
+        coerce,
+      );
+    }
+
+    const name = decodePointer(schema.$ref.slice(SCHEMA_REF.length));
+    const id = context.componentIds[name];
+    if (!id) {
+      throw new Error(
+        `$ref "${schema.$ref}" doesn't point at a schema in components.schemas`,
+      );
+    }
+
+    const target = context.spec.components.schemas[name];
+    if (
+      coerce &&
+      ["number", "integer", "boolean", "array"].includes(target.type)
+    ) {
+      return toZod(target, context, indent, true);
+    }
+
+    if (context.defined && !context.defined.has(name)) {
+      return context.language === "ts"
+        ? `z.lazy((): z.ZodTypeAny => ${id})`
+        : `z.lazy(() => ${id})`;
+    }
+    if (context.used) context.used.add(id);
+    return id;
+  }
+
+  // OpenAPI 3.0 marks null with `nullable`, 3.1 with a "null" type
+  const types = [].concat(schema.type === undefined ? [] : schema.type);
+  const nullable =
+    schema.nullable === true ||
+    types.includes("null") ||
+    (Array.isArray(schema.enum) && schema.enum.includes(null));
+  const nonNullTypes = types.filter((type) => type !== "null");
+
+  let code =
+    types.length > 0 && nonNullTypes.length === 0
+      ? "z.null()"
+      : toZodType(
+          {
+            ...schema,
+            type: nonNullTypes,
+            enum: schema.enum && schema.enum.filter((value) => value !== null),
+          },
+          context,
+          indent,
+          coerce,
+        );
+
+  if (nullable && code !== "z.null()") code += ".nullable()";
+  if (typeof schema.description === "string") {
+    code += `.describe(${JSON.stringify(schema.description)})`;
+  }
+  if (schema.default !== undefined) {
+    code += `.default(${JSON.stringify(schema.default)})`;
+  }
+  return code;
+}
+
+function toZodType(schema, context, indent, coerce) {
+  const convert = (value) => toZod(value, context, indent, coerce);
+
+  if (schema.const !== undefined) {
+    return `z.literal(${JSON.stringify(schema.const)})`;
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    if (schema.enum.every((value) => typeof value === "string")) {
+      return `z.enum([${schema.enum.map((value) => JSON.stringify(value)).join(", ")}])`;
+    }
+    const literals = schema.enum.map(
+      (value) => `z.literal(${JSON.stringify(value)})`,
+    );
+    const code =
+      literals.length === 1 ? literals[0] : `z.union([${literals.join(", ")}])`;
+    return coerce && schema.enum.every((value) => typeof value === "number")
+      ? `z.coerce.number().pipe(${code})`
+      : code;
+  }
+
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    const { allOf, ...own } = schema;
+    const parts = allOf.map(convert);
+    if (own.properties) parts.push(toZodType(own, context, indent, coerce));
+    return parts.reduce((left, right) => `${left}.and(${right})`);
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    const options = variants.map(convert);
+    return options.length === 1
+      ? options[0]
+      : `z.union([${options.join(", ")}])`;
+  }
+
+  if (schema.type.length > 1) {
+    const options = schema.type.map((type) =>
+      toZodType({ ...schema, type: [type] }, context, indent, coerce),
+    );
+    return `z.union([${options.join(", ")}])`;
+  }
+
+  let [type] = schema.type;
+  if (!type && (schema.properties || schema.additionalProperties)) {
+    type = "object";
+  }
+  if (!type && schema.items) type = "array";
+
+  switch (type) {
+    case "string": {
+      let code = `z.string()${STRING_FORMATS[schema.format] || ""}`;
+      if (Number.isInteger(schema.minLength))
+        code += `.min(${schema.minLength})`;
+      if (Number.isInteger(schema.maxLength))
+        code += `.max(${schema.maxLength})`;
+      if (typeof schema.pattern === "string") {
+        code += `.regex(new RegExp(${JSON.stringify(schema.pattern)}))`;
+      }
+      return code;
+    }
+    case "number":
+    case "integer": {
+      let code = coerce ? "z.coerce.number()" : "z.number()";
+      if (type === "integer") code += ".int()";
+      if (typeof schema.minimum === "number") {
+        code +=
+          schema.exclusiveMinimum === true
+            ? `.gt(${schema.minimum})`
+            : `.min(${schema.minimum})`;
+      }
+      if (typeof schema.exclusiveMinimum === "number") {
+        code += `.gt(${schema.exclusiveMinimum})`;
+      }
+      if (typeof schema.maximum === "number") {
+        code +=
+          schema.exclusiveMaximum === true
+            ? `.lt(${schema.maximum})`
+            : `.max(${schema.maximum})`;
+      }
+      if (typeof schema.exclusiveMaximum === "number") {
+        code += `.lt(${schema.exclusiveMaximum})`;
+      }
+      if (typeof schema.multipleOf === "number") {
+        code += `.multipleOf(${schema.multipleOf})`;
+      }
+      return code;
+    }
+    case "boolean":
+      return coerce
+        ? 'z.enum(["true", "false"]).transform((value) => value === "true")'
+        : "z.boolean()";
+    case "array": {
+      let code = `z.array(${convert(schema.items)})`;
+      if (Number.isInteger(schema.minItems)) code += `.min(${schema.minItems})`;
+      if (Number.isInteger(schema.maxItems)) code += `.max(${schema.maxItems})`;
+      // A query parameter given once arrives as a string, not a list
+      return coerce
+        ? `z.preprocess((value) => (Array.isArray(value) ? value : [value]), ${code})`
+        : code;
+    }
+    case "object":
+      return objectToZod(schema, context, indent);
+    default:
+      return "z.unknown()";
+  }
+}
+
+function objectToZod(schema, context, indent) {
+  const properties = Object.entries(schema.properties || {});
+  const required = new Set(schema.required || []);
+  const extra = schema.additionalProperties;
+  const extraSchema =
+    extra && typeof extra === "object" ? toZod(extra, context, indent) : null;
+
+  if (properties.length === 0) {
+    if (extra === false) return "z.object({}).strict()";
+    return `z.record(${extraSchema || "z.unknown()"})`;
+  }
+
+  const inner = `${indent}  `;
+  const lines = properties.map(([key, value]) => {
+    let code = toZod(value, context, inner);
+    if (!required.has(key) && !(value && value.default !== undefined)) {
+      code += ".optional()";
+    }
+    return `${inner}${formatKey(key)}: ${code},`;
+  });
+
+  let code = `z.object({\n${lines.join("\n")}\n${indent}})`;
+  if (extra === false) code += ".strict()";
+  if (extra === true) code += ".passthrough()";
+  if (extraSchema) code += `.catchall(${extraSchema})`;
+  return code;
+}
+
+/**
+ * Every component a schema refers to
+ */
+function collectSchemaRefs(value, refs = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectSchemaRefs(item, refs));
+  } else if (value && typeof value === "object") {
+    if (typeof value.$ref === "string" && value.$ref.startsWith(SCHEMA_REF)) {
+      refs.add(decodePointer(value.$ref.slice(SCHEMA_REF.length)));
+    }
+    Object.values(value).forEach((item) => collectSchemaRefs(item, refs));
+  }
+  return refs;
+}
+
+/**
+ * Component names in an order that defines each one after the ones it
+ * uses, as far as cycles allow
+ */
+function orderComponents(schemas) {
+  const order = [];
+  const visited = new Set();
+  const visit = (name) => {
+    if (visited.has(name)) return;
+    visited.add(name);
+    for (const ref of collectSchemaRefs(schemas[name])) {
+      if (schemas[ref] !== undefined) visit(ref);
+    }
+    order.push(name);
+  };
+  Object.keys(schemas).forEach(visit);
+  return order;
+}
+
+/**
+ * The module an operation goes in: its first tag, or the first part of its
+ * path when it has none
+ */
+function getModuleTag(pathName, operation) {
+  if (Array.isArray(operation.tags) && operation.tags.length > 0) {
+    return String(operation.tags[0]);
+  }
+  const [first] = pathName.split("/").filter((s) => s && !s.includes("{"));
+  return first || "root";
+}
+
+function toModuleName(tag) {
+  const name = toKebabCase(tag.replace(/[^A-Za-z0-9]+/g, "-"))
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+  if (!/^[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name)) {
+    throw new Error(
+      `Can't make a module name from the tag "${tag}" — tags need to start with a letter`,
+    );
+  }
+  return name;
+}
+
+/**
+ * The path segments every one of the module's paths starts with, up to the
+ * first parameter. The router is mounted there.
+ */
+function getMountPath(pathNames) {
+  const lists = pathNames.map((name) => name.split("/").filter(Boolean));
+  const prefix = [];
+  for (const segment of lists[0]) {
+    if (segment.includes("{")) break;
+    if (!lists.every((list) => list[prefix.length] === segment)) break;
+    prefix.push(segment);
+  }
+  return prefix.length > 0 ? `/${prefix.join("/")}` : "";
+}
+
+/**
+ * `/pets/{petId}` under `/pets` → `/:petId`
+ */
+function toRoutePath(pathName, mountPath) {
+  const segments = pathName
+    .split("/")
+    .filter(Boolean)
+    .slice(mountPath.split("/").filter(Boolean).length)
+    .map((segment) =>
+      segment.replace(/\{([^}]*)\}/g, (match, name) => {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+          throw new Error(
+            `Path parameter {${name}} in ${pathName} can't be routed — Express parameter names only use letters, digits and _`,
+          );
+        }
+        return `:${name}`;
+      }),
+    );
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Static segments sort before parameters, so `/pets/mine` is matched
+ * before `/pets/{petId}`
+ */
+function comparePaths(a, b) {
+  const left = a.split("/");
+  const right = b.split("/");
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const leftParam = left[i].includes("{");
+    const rightParam = right[i].includes("{");
+    if (leftParam !== rightParam) return leftParam ? 1 : -1;
+    if (left[i] !== right[i]) return 0;
+  }
+  return left.length - right.length;
+}
+
+/**
+ * The `z.object({ params, query, body })` an operation's requests are
+ * validated with, or null when it takes nothing to validate
+ */
+function getRequestSchema(spec, pathItem, operation, context) {
+  // Operation parameters override the path's ones with the same name
+  const parameters = new Map();
+  for (const parameter of [
+    ...(pathItem.parameters || []),
+    ...(operation.parameters || []),
+  ]) {
+    const resolved = deref(spec, parameter);
+    parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+
+  const groups = { params: [], query: [] };
+  for (const parameter of parameters.values()) {
+    const group = { path: "params", query: "query" }[parameter.in];
+    if (!group) continue;
+    const schema = parameter.schema || { type: "string" };
+    let code = toZod(schema, context, "    ", true);
+    if (typeof parameter.description === "string" && !schema.description) {
+      code += `.describe(${JSON.stringify(parameter.description)})`;
+    }
+    if (
+      group === "query" &&
+      !parameter.required &&
+      deref(spec, schema).default === undefined
+    ) {
+      code += ".optional()";
+    }
+    groups[group].push(`    ${formatKey(parameter.name)}: ${code},`);
+  }
+
+  const entries = Object.entries(groups)
+    .filter(([, lines]) => lines.length > 0)
+    .map(
+      ([group, lines]) => `  ${group}: z.object({\n${lines.join("\n")}\n  }),`,
+    );
+
+  const requestBody =
+    operation.requestBody && deref(spec, operation.requestBody);
+  const contentType =
+    requestBody &&
+    Object.keys(requestBody.content || {}).find((type) =>
+      /^application\/(.+\+)?json$/.test(type),
+    );
+  if (contentType) {
+    let code = toZod(requestBody.content[contentType].schema, context, "  ");
+    if (!requestBody.required) code += ".optional()";
+    entries.push(`  body: ${code},`);
+  }
+
+  return entries.length > 0 ? `z.object({\n${entries.join("\n")}\n})` : null;
+}
+
+/**
+ * The `@swagger` block for one path, with the contract's own operations
+ */
+function getPathDoc(spec, pathName, pathItem) {
+  const yaml = YAML.stringify(
+    { [`/api${pathName}`]: inlineRefs(spec, pathItem) },
+    { lineWidth: 0, aliasDuplicateObjects: false },
+  );
+  return formatComment(["@swagger", ...yaml.trimEnd().split("\n")]);
+}
+
+function formatRoute(method, routePath, schemaName, handler) {
+  const args = [
+    JSON.stringify(routePath),
+    ...(schemaName ? [`validateRequest(${schemaName})`] : []),
+    `controller.${handler}`,
+  ];
+  const line = `router.${method}(${args.join(", ")});`;
+  if (line.length <= 80) return line;
+  return `router.${method}(\n${args.map((arg) => `  ${arg},`).join("\n")}\n);`;
+}
+
+function formatHandler(language, handler, { method, docPath, summary }) {
+  const params = language === "ts" ? "req: Request, res: Response" : "req, res";
+  const comment = formatComment([
+    `${method.toUpperCase()} ${docPath}${summary ? ` — ${summary}` : ""}`,
+  ]);
+  const body = [
+    `throw new AppError("${handler} is not implemented yet", 501, {`,
+    '  code: "NOT_IMPLEMENTED",',
+    "});",
+  ];
+
+  const head = `export const ${handler} = asyncHandler(async (${params}) => {`;
+  if (head.length <= 80) {
+    return `${comment}\n${head}\n${body.map((line) => `  ${line}`).join("\n")}\n});`;
+  }
+  return [
+    comment,
+    `export const ${handler} = asyncHandler(`,
+    `  async (${params}) => {`,
+    ...body.map((line) => `    ${line}`),
+    "  },",
+    ");",
+  ].join("\n");
+}
+
+/**
+ * Work out the files an OpenAPI document turns into, without writing them:
+ * one module per tag with routes, controller stubs and request schemas, and
+ * a shared file with the components as Zod schemas. Throws when the
+ * document uses something that can't be generated.
+ */
+function planOpenApiModules(spec, language, source) {
+  const ext = language;
+  const templateDir = path.join(GENERATORS_DIR, language);
+  const render = (file, context) =>
+    renderTemplate(
+      fs.readFileSync(path.join(templateDir, file), "utf-8"),
+      { source, ...context },
+      file,
+    );
+
+  // Component names stay as they are in the docs; the Zod schemas get
+  // camelCase names
+  const components = (spec.components && spec.components.schemas) || {};
+  const takenIds = new Set();
+  const componentIds = {};
+  for (const name of Object.keys(components)) {
+    componentIds[name] = claimName(
+      `${toIdentifier(name) || "component"}Schema`,
+      takenIds,
+    );
+  }
+
+  const files = [];
+  const componentsFile = path.join("src", "schemas", `openapi.schemas.${ext}`);
+  const hasComponents = Object.keys(components).length > 0;
+
+  if (hasComponents) {
+    const defined = new Set();
+    const blocks = orderComponents(components).map((name) => {
+      const code = toZod(components[name], {
+        spec,
+        language,
+        componentIds,
+        defined,
+      });
+      defined.add(name);
+      const id = componentIds[name];
+      const lines = [`export const ${id} = ${code};`];
+      if (language === "ts") {
+        const typeName = id[0].toUpperCase() + id.slice(1, -"Schema".length);
+        lines.push(`export type ${typeName} = z.infer<typeof ${id}>;`);
+      }
+      return lines.join("\n");
+    });
+
+    files.push({
+      relativePath: componentsFile,
+      content: render(`openapi.schemas.${ext}.tpl`, {
+        componentSchemas: blocks.join("\n\n"),
+      }),
+    });
+  }
+
+  // Group the operations by module
+  const modules = new Map();
+  for (const [pathName, rawItem] of Object.entries(spec.paths)) {
+    const pathItem = deref(spec, rawItem);
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      const tag = getModuleTag(pathName, operation);
+      const name = toModuleName(tag);
+      if (!modules.has(name))
+        modules.set(name, { name, tag, paths: new Map() });
+      const mod = modules.get(name);
+      if (!mod.paths.has(pathName))
+        mod.paths.set(pathName, { pathItem, methods: {} });
+      mod.paths.get(pathName).methods[method] = operation;
+    }
+  }
+
+  if (modules.size === 0) {
+    throw new Error("The document has no operations to generate routes from");
+  }
+
+  const planned = [];
+  for (const mod of modules.values()) {
+    const pathNames = [...mod.paths.keys()].sort(comparePaths);
+    const mountPath = getMountPath(pathNames);
+    const takenNames = new Set([
+      ...Object.values(componentIds),
+      ...RESERVED_WORDS,
+    ]);
+    const used = new Set();
+    const routeBlocks = [];
+    const handlerBlocks = [];
+    const schemaBlocks = [];
+    const schemaNames = [];
+
+    for (const pathName of pathNames) {
+      const { pathItem, methods } = mod.paths.get(pathName);
+      const docItem = { ...pathItem };
+      for (const method of METHODS) {
+        if (!methods[method]) delete docItem[method];
+      }
+      const routes = [getPathDoc(spec, pathName, docItem)];
+
+      for (const method of METHODS) {
+        const operation = methods[method];
+        if (!operation) continue;
+
+        const fallback = toIdentifier(
+          `${method} ${pathName.replace(/\{([^}]*)\}/g, "by $1")}`,
+        );
+        let handler = toIdentifier(operation.operationId || "") || fallback;
+        if (RESERVED_WORDS.has(handler)) handler = `${handler}Handler`;
+        handler = claimName(handler, takenNames);
+
+        const requestSchema = getRequestSchema(spec, pathItem, operation, {
+          spec,
+          language,
+          componentIds,
+          used,
+        });
+        let schemaName = null;
+        if (requestSchema) {
+          schemaName = claimName(`${handler}RequestSchema`, takenNames);
+          schemaNames.push(schemaName);
+          schemaBlocks.push(`export const ${schemaName} = ${requestSchema};`);
+        }
+
+        routes.push(
+          formatRoute(
+            method,
+            toRoutePath(pathName, mountPath),
+            schemaName,
+            handler,
+          ),
+        );
+        handlerBlocks.push(
+          formatHandler(language, handler, {
+            method,
+            docPath: `/api${pathName}`,
+            summary: operation.summary,
+          }),
+        );
+      }
+
+      routeBlocks.push(routes.join("\n"));
+    }
+
+    const context = {
+      name: mod.name,
+      hasSchemas: schemaBlocks.length > 0,
+      hasComponents: used.size > 0,
+      schemaImport: formatImport(schemaNames, `./${mod.name}.schemas.${ext}`),
+      componentImport: formatImport(
+        Object.values(componentIds).filter((id) => used.has(id)),
+        `../../schemas/openapi.schemas.${ext}`,
+      ),
+      routes: routeBlocks.join("\n\n"),
+      handlers: handlerBlocks.join("\n\n"),
+      requestSchemas: schemaBlocks.join("\n\n"),
+    };
+
+    const moduleDir = path.join("src", "modules", mod.name);
+    const moduleFiles = [
+      "routes",
+      "controller",
+      ...(context.hasSchemas ? ["schemas"] : []),
+    ];
+    for (const kind of moduleFiles) {
+      files.push({
+        relativePath: path.join(moduleDir, `${mod.name}.${kind}.${ext}`),
+        content: render(`__name__.${kind}.${ext}.tpl`, context),
+      });
+    }
+
+    planned.push({
+      name: mod.name,
+      tag: mod.tag,
+      mountPath,
+      routesName: `${toIdentifier(mod.name)}Routes`,
+    });
+  }
+
+  return {
+    source,
+    modules: planned,
+    files,
+    componentsFile: hasComponents ? componentsFile : null,
+    // Registered under the contract's names so the docs' $refs resolve
+    swaggerSchemas: Object.entries(componentIds).map(([name, id]) => ({
+      name,
+      id,
+    })),
+  };
+}
+
+/**
+ * Write a plan from planOpenApiModules into the project, mount each module
+ * in routes/index and register the component schemas in the swagger config.
+ * Returns what was done and the steps left to do by hand.
+ */
+function writeOpenApiModules(project, plan) {
+  const ext = project.language;
+  const existing = plan.files.filter((file) =>
+    fs.existsSync(path.join(project.dir, file.relativePath)),
+  );
+  if (existing.length > 0) {
+    throw new Error(
+      `These files already exist: ${existing.map((file) => file.relativePath).join(", ")}`,
+    );
+  }
+
+  for (const file of plan.files) {
+    const dest = path.join(project.dir, file.relativePath);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, file.content, "utf-8");
+  }
+
+  const manualSteps = [];
+  const updated = [];
+
+  const routesFile = path.join("src", "routes", `index.${ext}`);
+  const routesStep = wireInto(project, routesFile, {
+    imports: plan.modules.map(
+      (mod) =>
+        `import ${mod.routesName} from "../modules/${mod.name}/${mod.name}.routes.${ext}";`,
+    ),
+    before: "export default router",
+    statements: plan.modules.map((mod) =>
+      mod.mountPath
+        ? `// ${mod.tag} routes\nrouter.use("${mod.mountPath}", ${mod.routesName});`
+        : `// ${mod.tag} routes\nrouter.use(${mod.routesName});`,
+    ),
+  });
+  if (routesStep) {
+    manualSteps.push(routesStep);
+  } else {
+    updated.push(routesFile);
+  }
+
+  const swaggerConfig = path.join("src", "config", `swagger.config.${ext}`);
+  if (
+    plan.swaggerSchemas.length > 0 &&
+    fs.existsSync(path.join(project.dir, swaggerConfig))
+  ) {
+    const swaggerStep = registerSwaggerSchemas(project, swaggerConfig, {
+      importLine: formatImport(
+        plan.swaggerSchemas.map((schema) => schema.id),
+        `../schemas/openapi.schemas.${ext}`,
+      ),
+      entries: plan.swaggerSchemas.map(
+        (schema) => `${formatKey(schema.name)}: ${schema.id}`,
+      ),
+    });
+    if (swaggerStep) {
+      manualSteps.push(swaggerStep);
+    } else {
+      updated.push(swaggerConfig);
+    }
+  }
+
+  return {
+    files: plan.files.map((file) => file.relativePath),
+    updated,
+    manualSteps,
+  };
+}
+
+function usage() {
+  return "create-charcole generate openapi <spec.yaml|spec.json>";
+}
+
+/**
+ * `create-charcole generate openapi <spec>` — generate a module per tag of
+ * an OpenAPI 3 document in the project in the current directory
+ */
+async function runGenerateOpenApi(args, reporter = createReporter()) {
+  const unknown = args.find((arg) => arg.startsWith("-"));
+  if (unknown) {
+    throw new InvalidOptionsError(
+      `Unknown option ${unknown}\n   Usage: ${usage()}`,
+    );
+  }
+  if (args.length !== 1) {
+    throw new InvalidOptionsError(`Usage: ${usage()}`);
+  }
+
+  const project = readProject(process.cwd());
+
+  let plan;
+  try {
+    const spec = loadOpenApiSpec(path.resolve(args[0]));
+    plan = planOpenApiModules(spec, project.language, path.basename(args[0]));
+  } catch (err) {
+    throw new InvalidOptionsError(err.message);
+  }
+
+  let result;
+  try {
+    result = writeOpenApiModules(project, plan);
+  } catch (err) {
+    throw new CharcoleError(err.message);
+  }
+
+  reporter.info(`\n🧱 Generating modules from ${args[0]}...`);
+  for (const file of result.files) {
+    reporter.info(`✓ Created ${file}`);
+  }
+  for (const file of result.updated) {
+    reporter.info(`✓ Updated ${file}`);
+  }
+  reporter.info("\nModules:");
+  for (const mod of plan.modules) {
+    reporter.info(`  ${mod.name.padEnd(16)} /api${mod.mountPath}`);
+  }
+
+  reporter.record({
+    files: result.files,
+    nextSteps: [
+      "Write the controllers — every route answers 501 Not Implemented until then",
+    ],
+    manualSteps: result.manualSteps,
+  });
+  reporter.finish(
+    `Generated ${plan.modules.length} module(s) from ${args[0]}`,
+    {
+      modules: plan.modules.map((mod) => ({
+        name: mod.name,
+        path: `/api${mod.mountPath}`,
+      })),
+      updated: result.updated,
+    },
+  );
+}
+
+module.exports = {
+  loadOpenApiSpec,
+  planOpenApiModules,
+  writeOpenApiModules,
+  runGenerateOpenApi,
+};
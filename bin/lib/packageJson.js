@@ -0,0 +1,54 @@
+const fs = require("fs");
+
+/**
+ * Merge base package.json with a feature package.json
+ */
+function mergePackageJson(base, fragment) {
+  const merged = { ...base };
+
+  // Merge dependencies
+  if (fragment.dependencies) {
+    merged.dependencies = {
+      ...merged.dependencies,
+      ...fragment.dependencies,
+    };
+  }
+
+  // Merge devDependencies
+  if (fragment.devDependencies) {
+    merged.devDependencies = {
+      ...merged.devDependencies,
+      ...fragment.devDependencies,
+    };
+  }
+
+  // Merge scripts
+  if (fragment.scripts) {
+    merged.scripts = {
+      ...merged.scripts,
+      ...fragment.scripts,
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Read and parse a JSON file
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Write a JSON file with the same formatting the CLI always used
+ */
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  mergePackageJson,
+  readJson,
+  writeJson,
+};
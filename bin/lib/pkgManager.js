@@ -2,27 +2,42 @@ const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 
+const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
 /**
- * Detect which package manager the user is using
- * Priority: pnpm > yarn > npm
+ * The package manager that ran the CLI (`pnpm dlx`, `bunx`...), or null when
+ * it wasn't started through one
  */
-function detectPackageManager() {
+function getUserAgentPackageManager() {
   const userAgent = process.env.npm_config_user_agent;
+  if (!userAgent) return null;
 
-  if (userAgent) {
-    if (userAgent.includes("pnpm")) return "pnpm";
-    if (userAgent.includes("yarn")) return "yarn";
-    if (userAgent.includes("npm")) return "npm";
-  }
+  if (userAgent.includes("pnpm")) return "pnpm";
+  if (userAgent.includes("yarn")) return "yarn";
+  // Bun reports itself as `bun/1.x npm/? ...`, so it's checked before npm
+  if (userAgent.includes("bun")) return "bun";
+  if (userAgent.includes("npm")) return "npm";
+  return null;
+}
+
+/**
+ * Detect which package manager the user is using in a project folder
+ * Priority: pnpm > yarn > bun > npm
+ */
+function detectPackageManager(dir = process.cwd()) {
+  const fromUserAgent = getUserAgentPackageManager();
+  if (fromUserAgent) return fromUserAgent;
 
   const lockFiles = {
     "pnpm-lock.yaml": "pnpm",
     "yarn.lock": "yarn",
+    "bun.lockb": "bun",
+    "bun.lock": "bun",
     "package-lock.json": "npm",
   };
 
   for (const [lockFile, manager] of Object.entries(lockFiles)) {
-    if (fs.existsSync(path.join(process.cwd(), lockFile))) {
+    if (fs.existsSync(path.join(dir, lockFile))) {
       return manager;
     }
   }
@@ -31,19 +46,54 @@ function detectPackageManager() {
 }
 
 /**
- * Install dependencies
+ * The command that installs a project's dependencies
  */
-function installDependencies(targetDir, pkgManager) {
-  const installCmd =
-    pkgManager === "yarn" ? "yarn install" : `${pkgManager} install`;
+function getInstallCommand(pkgManager) {
+  return `${pkgManager} install`;
+}
 
-  execSync(installCmd, {
+/**
+ * Install dependencies. Pass `stdio: "pipe"` to keep the package manager's
+ * output off the terminal; it is still part of the error if the install fails.
+ */
+function installDependencies(
+  targetDir,
+  pkgManager,
+  { stdio = "inherit" } = {},
+) {
+  execSync(getInstallCommand(pkgManager), {
     cwd: targetDir,
-    stdio: "inherit",
+    stdio,
   });
 }
 
+/**
+ * Install dependencies without failing when the install does, e.g. offline.
+ * Returns null when it worked, or a one-line reason. Ctrl+C still throws.
+ */
+function tryInstallDependencies(targetDir, pkgManager, options) {
+  try {
+    installDependencies(targetDir, pkgManager, options);
+    return null;
+  } catch (err) {
+    if (err.signal === "SIGINT") throw err;
+
+    // With piped output the package manager's last error line says the most
+    const output = String(err.stderr || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    return output.length > 0
+      ? output[output.length - 1]
+      : err.message.split("\n")[0];
+  }
+}
+
 module.exports = {
+  PACKAGE_MANAGERS,
+  getUserAgentPackageManager,
   detectPackageManager,
+  getInstallCommand,
   installDependencies,
+  tryInstallDependencies,
 };
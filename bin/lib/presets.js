@@ -0,0 +1,248 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { readJson, writeJson } = require("./packageJson");
+const { LOCKFILE, readLockfile } = require("./lockfile");
+const { resolveAnswers } = require("./cliOptions");
+const { createReporter } = require("./reporter");
+const {
+  InvalidOptionsError,
+  NotAProjectError,
+  CancelledError,
+} = require("./errors");
+
+// Saved presets live in the user's home folder so every project can use them
+const RC_FILE = path.join(os.homedir(), ".charcolerc");
+
+/**
+ * Presets that ship with the CLI. They leave the language and database open,
+ * so they work for both templates.
+ */
+const BUILT_IN_PRESETS = {
+  minimal: {
+    description: "Just the base API — no optional modules",
+    preset: { auth: false, swagger: false, includePayments: false },
+  },
+  "api-only": {
+    description: "JWT auth and Swagger docs, no payments",
+    preset: { auth: true, swagger: true, includePayments: false },
+  },
+  saas: {
+    description: "JWT auth, Swagger docs and Stripe payments",
+    preset: {
+      auth: true,
+      swagger: true,
+      includePayments: true,
+      paymentProvider: "stripe",
+    },
+  },
+};
+
+const PRESET_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * The user config file, or an empty one when there is none yet
+ */
+function readUserConfig() {
+  if (!fs.existsSync(RC_FILE)) return { presets: {} };
+
+  let config;
+  try {
+    config = readJson(RC_FILE);
+  } catch (err) {
+    throw new Error(`Failed to parse ${RC_FILE}: ${err.message}`);
+  }
+  return { ...config, presets: config.presets || {} };
+}
+
+/**
+ * A preset by name. Saved presets win over built-in ones with the same name.
+ */
+function getNamedPreset(name) {
+  const saved = readUserConfig().presets[name];
+  if (saved) return saved;
+  return BUILT_IN_PRESETS[name] ? BUILT_IN_PRESETS[name].preset : null;
+}
+
+/**
+ * Read a preset from a JSON string, a JSON file or a preset name
+ */
+function loadPreset(value) {
+  try {
+    if (value.trim().startsWith("{")) {
+      return JSON.parse(value);
+    }
+
+    const presetPath = path.isAbsolute(value)
+      ? value
+      : path.join(process.cwd(), value);
+    if (fs.existsSync(presetPath) || !PRESET_NAME.test(value)) {
+      return JSON.parse(fs.readFileSync(presetPath, "utf-8"));
+    }
+
+    const preset = getNamedPreset(value);
+    if (!preset) {
+      const names = [
+        ...Object.keys(BUILT_IN_PRESETS),
+        ...Object.keys(readUserConfig().presets),
+      ];
+      throw new Error(
+        `no preset named "${value}" (available: ${[...new Set(names)].join(", ")})`,
+      );
+    }
+    return preset;
+  } catch (err) {
+    throw new Error(`Failed to parse --preset: ${err.message}`);
+  }
+}
+
+/**
+ * Store a preset in the user config file under `name`
+ */
+function savePreset(name, preset) {
+  const config = readUserConfig();
+  config.presets = { ...config.presets, [name]: preset };
+  writeJson(RC_FILE, config);
+}
+
+/**
+ * Throw unless `name` can be used for a saved preset
+ */
+function checkPresetName(name) {
+  if (!PRESET_NAME.test(name)) {
+    throw new InvalidOptionsError(
+      `Preset names may only use lowercase letters, digits, "-" and "_" (got "${name}")`,
+    );
+  }
+}
+
+/**
+ * Make sure replacing the saved preset `name`, if there is one, is wanted:
+ * `yes` replaces it, otherwise it's asked, and without a terminal to ask in
+ * it's an error
+ */
+async function confirmReplacePreset(
+  name,
+  { yes, useDefaults, outcome = "the preset was kept" },
+) {
+  if (yes || !readUserConfig().presets[name]) return;
+
+  if (useDefaults) {
+    throw new InvalidOptionsError(
+      `You already have a preset named "${name}" — pass --yes to replace it`,
+    );
+  }
+
+  const { replace } = await resolveAnswers(
+    [
+      {
+        type: "confirm",
+        name: "replace",
+        message: `Replace your saved "${name}" preset?`,
+        initial: false,
+      },
+    ],
+    {},
+    { useDefaults },
+  );
+  if (!replace) {
+    throw new CancelledError(null, { outcome });
+  }
+}
+
+function formatPreset(preset) {
+  return Object.entries(preset)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(", ");
+}
+
+/**
+ * `create-charcole preset save <name>` — save the answers the project in the
+ * current directory was made with as a named preset. `create-charcole preset
+ * list` shows them all.
+ */
+async function runPreset(args, reporter = createReporter()) {
+  const [action, name, ...rest] = args;
+
+  if (action === "list") {
+    const saved = readUserConfig().presets;
+
+    if (reporter.isJson) {
+      reporter.finish(null, {
+        builtIn: Object.fromEntries(
+          Object.entries(BUILT_IN_PRESETS).map(([presetName, { preset }]) => [
+            presetName,
+            preset,
+          ]),
+        ),
+        saved,
+      });
+      return;
+    }
+
+    reporter.output("\n📋 Built-in presets:");
+    for (const [presetName, { description }] of Object.entries(
+      BUILT_IN_PRESETS,
+    )) {
+      reporter.output(`  ${presetName.padEnd(10)} ${description}`);
+    }
+
+    reporter.output(`\n💾 Saved presets (${RC_FILE}):`);
+    if (Object.keys(saved).length === 0) {
+      reporter.output(
+        "  none yet — create one with `create-charcole preset save <name>`",
+      );
+    }
+    for (const [presetName, preset] of Object.entries(saved)) {
+      reporter.output(`  ${presetName.padEnd(10)} ${formatPreset(preset)}`);
+    }
+    return;
+  }
+
+  const unexpected = rest.find((arg) => arg !== "--yes" && arg !== "-y");
+  if (action !== "save" || !name || name.startsWith("-") || unexpected) {
+    throw new InvalidOptionsError(
+      "Usage: create-charcole preset save <name> [--yes] | create-charcole preset list",
+    );
+  }
+  checkPresetName(name);
+
+  const lock = readLockfile(process.cwd());
+  if (!lock) {
+    throw new NotAProjectError(
+      `No ${LOCKFILE} found. Run this inside a project made with create-charcole, or pass --save-preset ${name} when creating one.`,
+    );
+  }
+
+  await confirmReplacePreset(name, {
+    yes: rest.length > 0,
+    useDefaults: reporter.isJson || !process.stdin.isTTY,
+  });
+
+  const preset = { language: lock.language, ...lock.answers };
+  savePreset(name, preset);
+
+  reporter.info(`  ${formatPreset(preset)}`);
+  if (BUILT_IN_PRESETS[name]) {
+    reporter.info(`ℹ️  It replaces the built-in "${name}" preset for you`);
+  }
+  reporter.record({
+    nextSteps: [`create-charcole my-api --preset ${name}`],
+  });
+  reporter.finish(`Saved preset "${name}" to ${RC_FILE}`, {
+    name,
+    saved: true,
+    preset,
+  });
+}
+
+module.exports = {
+  RC_FILE,
+  BUILT_IN_PRESETS,
+  loadPreset,
+  checkPresetName,
+  confirmReplacePreset,
+  savePreset,
+  runPreset,
+};
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+
+// Entries an existing folder may already have and still be scaffolded into
+const ALLOWED_EXISTING = [".git"];
+
+const SCOPED_NAME = /^@([^/]+)\/([^/]+)$/;
+
+/**
+ * Check a name against npm's rules for new package names. Returns the list
+ * of problems; an empty list means `npm install` will accept it.
+ */
+function validatePackageName(name) {
+  const problems = [];
+
+  if (!name) return ["name can't be empty"];
+
+  if (name.length > 214) {
+    problems.push("name can't be longer than 214 characters");
+  }
+  if (name.trim() !== name) {
+    problems.push("name can't start or end with spaces");
+  }
+  if (/^[._]/.test(name)) {
+    problems.push('name can\'t start with "." or "_"');
+  }
+  if (name.toLowerCase() !== name) {
+    problems.push("name can't contain capital letters");
+  }
+  if (/[~'!()*]/.test(name)) {
+    problems.push("name can't contain any of ~'!()*");
+  }
+  if (["node_modules", "favicon.ico"].includes(name)) {
+    problems.push(`${name} is a reserved name`);
+  }
+  if (builtinModules.includes(name)) {
+    problems.push(`${name} is the name of a Node.js core module`);
+  }
+
+  const scoped = name.match(SCOPED_NAME);
+  if (name.startsWith("@") && !scoped) {
+    problems.push('scoped names look like "@scope/name"');
+  } else {
+    const parts = scoped ? [scoped[1], scoped[2]] : [name];
+    if (parts.some((part) => encodeURIComponent(part) !== part)) {
+      problems.push(
+        scoped
+          ? "scope and name can only contain URL-friendly characters"
+          : "name can only contain URL-friendly characters",
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Where a project goes and what it's called. `.` scaffolds into `cwd` and
+ * takes its name from the folder; a scoped name like `@acme/billing-api`
+ * gets a `billing-api` folder and keeps the full name in package.json.
+ */
+function resolveProjectTarget(projectName, cwd = process.cwd()) {
+  if (projectName === ".") {
+    return {
+      packageName: path.basename(path.resolve(cwd)),
+      folder: ".",
+      dir: path.resolve(cwd),
+    };
+  }
+
+  const folder = getProjectFolder(projectName);
+  return {
+    packageName: projectName,
+    folder,
+    dir: path.resolve(cwd, folder),
+  };
+}
+
+/**
+ * The folder name for a package name: the part after the scope, if any
+ */
+function getProjectFolder(packageName) {
+  const scoped = packageName.match(SCOPED_NAME);
+  return scoped ? scoped[2] : packageName;
+}
+
+/**
+ * Whether a project can be created in `dir`: it doesn't exist yet, or it
+ * is empty apart from a git repository
+ */
+function canScaffoldInto(dir) {
+  if (!fs.existsSync(dir)) return true;
+  if (!fs.statSync(dir).isDirectory()) return false;
+  return fs.readdirSync(dir).every((entry) => ALLOWED_EXISTING.includes(entry));
+}
+
+module.exports = {
+  ALLOWED_EXISTING,
+  validatePackageName,
+  resolveProjectTarget,
+  getProjectFolder,
+  canScaffoldInto,
+};
@@ -0,0 +1,288 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const { renderTemplate, getRenderContext } = require("./templateRenderer");
+const { getInstallCommand } = require("./pkgManager");
+const { appendEnvContent } = require("./envFile");
+const { getModuleEnv, getOptionEnvValues } = require("./moduleInstaller");
+
+const README_FILE = "README.md";
+
+// Where the API listens with the template's .env
+const LOCAL_HOST = "localhost:3000";
+
+// The folders swagger-jsdoc reads `@swagger` blocks from
+const ROUTE_DIRS = ["src/modules", "src/routes"];
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete", "head"];
+
+// What the template's scripts do. Other scripts are listed with their command.
+const SCRIPT_DESCRIPTIONS = {
+  dev: "Start the API with auto-reload",
+  start: "Start the API for production",
+  build: "Compile the TypeScript into dist/",
+  clean: "Remove dist/",
+  test: "Run the tests once",
+  "test:watch": "Run the tests on every change",
+};
+
+const LANGUAGE_TITLES = { ts: "TypeScript", js: "JavaScript" };
+
+/**
+ * What to do after the scaffold to get the API running, for the selections
+ * in a render context. Each step has a `title` and, when there is something
+ * to run, a `command`. Installing the dependencies is left to the caller.
+ */
+function getSetupSteps(context, { pkgManager, database }) {
+  const steps = [];
+
+  const services = Object.keys(
+    (database && database.docker && database.docker.services) || {},
+  );
+  if (services.length > 0) {
+    steps.push(
+      context.docker
+        ? {
+            title: `Start ${database.title}`,
+            command: `docker compose up -d ${services.join(" ")}`,
+          }
+        : {
+            title: `Start a ${database.title} server and check DATABASE_URL in .env`,
+          },
+    );
+  }
+
+  if (context.payments) {
+    const provider = context.paymentProvider;
+    if (provider === "stripe") {
+      steps.push({
+        title:
+          "Add STRIPE_SECRET_KEY and STRIPE_PUBLISHABLE_KEY to .env, and the STRIPE_WEBHOOK_SECRET that `stripe listen` prints",
+      });
+    } else if (provider === "lemonsqueezy") {
+      steps.push({
+        title:
+          "Add LEMONSQUEEZY_API_KEY, LEMONSQUEEZY_WEBHOOK_SECRET and LEMONSQUEEZY_STORE_ID to .env",
+      });
+    } else {
+      steps.push({
+        title:
+          "Set PAYMENT_PROVIDER in .env to stripe or lemonsqueezy and add that provider's keys",
+      });
+    }
+
+    if (provider !== "lemonsqueezy") {
+      steps.push({
+        title: "Forward Stripe webhooks to the API (in a second terminal)",
+        command: `stripe listen --forward-to ${LOCAL_HOST}/api${context.paymentsPath}/webhook`,
+      });
+    }
+  }
+
+  steps.push({
+    title: "Start the API with auto-reload",
+    command: `${pkgManager} run dev`,
+  });
+
+  if (context.swagger) {
+    steps.push({
+      title: `Open the API docs at http://${LOCAL_HOST}${context.swaggerPath}`,
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Every route documented by an `@swagger` block in the project, sorted by
+ * path. Blocks that aren't valid YAML are left to the docs build to report.
+ */
+function listRoutes(projectDir) {
+  const routes = [];
+
+  const readDir = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== "__tests__") readDir(entryPath);
+        continue;
+      }
+      if (!/\.(ts|js)$/.test(entry.name)) continue;
+
+      const content = fs.readFileSync(entryPath, "utf-8");
+      for (const [, block] of content.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+        const lines = block
+          .split("\n")
+          // `*/` can't appear in a comment, so generated docs escape it
+          .map((line) => line.replace(/^\s*\* ?/, "").replace(/\*\\\//g, "*/"));
+        const start = lines.findIndex((line) => line.trim() === "@swagger");
+        if (start === -1) continue;
+
+        let paths;
+        try {
+          paths = YAML.parse(lines.slice(start + 1).join("\n"));
+        } catch (err) {
+          continue;
+        }
+
+        for (const [routePath, pathItem] of Object.entries(paths || {})) {
+          for (const method of HTTP_METHODS) {
+            const operation = pathItem && pathItem[method];
+            if (!operation) continue;
+            routes.push({
+              method: method.toUpperCase(),
+              path: routePath,
+              summary: (operation.summary || operation.description || "")
+                .split("\n")[0]
+                .replace(/\|/g, "\\|"),
+              secured: Boolean(operation.security && operation.security.length),
+            });
+          }
+        }
+      }
+    }
+  };
+  ROUTE_DIRS.forEach((dir) => readDir(path.join(projectDir, dir)));
+
+  return routes.sort(
+    (a, b) =>
+      a.path.localeCompare(b.path) ||
+      HTTP_METHODS.indexOf(a.method.toLowerCase()) -
+        HTTP_METHODS.indexOf(b.method.toLowerCase()),
+  );
+}
+
+function formatSteps(steps) {
+  return steps
+    .map((step, index) => {
+      const title = `${index + 1}. ${step.title}`;
+      return step.command
+        ? `${title}\n\n   \`\`\`bash\n   ${step.command}\n   \`\`\``
+        : title;
+    })
+    .join("\n\n");
+}
+
+function formatScripts(scripts, pkgManager) {
+  const rows = Object.entries(scripts || {})
+    // Lifecycle hooks run on their own and `echo` scripts are placeholders
+    .filter(
+      ([name, command]) =>
+        !/^(pre|post)/.test(name) && !command.startsWith("echo "),
+    )
+    .map(
+      ([name, command]) =>
+        `| \`${pkgManager} run ${name}\` | ${SCRIPT_DESCRIPTIONS[name] || `Runs \`${command}\``} |`,
+    );
+
+  return ["| Command | What it does |", "| --- | --- |", ...rows].join("\n");
+}
+
+function formatRoutes(routes, context) {
+  const rows = routes.map(
+    (route) =>
+      `| \`${route.method}\` | \`${route.path}\` | ${route.summary}${route.secured ? " 🔒" : ""} |`,
+  );
+  if (context.swagger) {
+    rows.push(
+      `| \`GET\` | \`${context.swaggerPath}\` | API docs (${context.swaggerUi === "redoc" ? "Redoc" : "Swagger UI"}) |`,
+    );
+  }
+
+  const table = [
+    "| Method | Path | Description |",
+    "| --- | --- | --- |",
+    ...rows,
+  ];
+  if (routes.some((route) => route.secured)) {
+    table.push("", "🔒 Needs an `Authorization: Bearer <token>` header");
+  }
+  return table.join("\n");
+}
+
+function formatStack(project, { database, modules }) {
+  const lines = [
+    `- **Language:** ${LANGUAGE_TITLES[project.language] || project.language}`,
+  ];
+  if (database) lines.push(`- **Database:** ${database.description}`);
+  lines.push(
+    `- **Modules:** ${modules.length > 0 ? modules.map((mod) => mod.description).join(", ") : "none"}`,
+  );
+  return lines.join("\n");
+}
+
+/**
+ * The env vars the project uses: the template's own, then each selected
+ * module's with the values its answers set, as they're written to .env
+ */
+function formatEnv(project, context, { answers, modules }) {
+  const examplePath = path.join(project.templateDir, ".env.example");
+  let content = fs.existsSync(examplePath)
+    ? renderTemplate(
+        fs.readFileSync(examplePath, "utf-8"),
+        context,
+        examplePath,
+      ).trim()
+    : "";
+
+  for (const mod of modules) {
+    const env = getModuleEnv(mod, answers);
+    if (!env) continue;
+    content = appendEnvContent(
+      content,
+      env,
+      getOptionEnvValues(mod, answers),
+    ).content;
+  }
+
+  return content.trim();
+}
+
+/**
+ * Write README.md from the template's README for what the project ended up
+ * with: its setup steps, scripts, routes and env vars. Templates without a
+ * README get none. Returns whether it was written.
+ */
+function writeReadme(project, { answers, pkgManager, database, modules }) {
+  const templatePath = path.join(project.templateDir, README_FILE);
+  if (!fs.existsSync(templatePath)) return false;
+
+  const context = getRenderContext({ ...project, answers });
+  const setupSteps = [
+    {
+      title: "Install the dependencies",
+      command: getInstallCommand(pkgManager),
+    },
+    ...getSetupSteps(context, { pkgManager, database }),
+  ];
+
+  const content = renderTemplate(
+    fs.readFileSync(templatePath, "utf-8"),
+    {
+      ...context,
+      pkgManager,
+      redoc: context.swaggerUi === "redoc",
+      stripePayments:
+        context.payments && context.paymentProvider !== "lemonsqueezy",
+      lemonSqueezyPayments:
+        context.payments && context.paymentProvider !== "stripe",
+      readmeStack: formatStack(project, { database, modules }),
+      readmeSetup: formatSteps(setupSteps),
+      readmeScripts: formatScripts(project.pkg.scripts, pkgManager),
+      readmeRoutes: formatRoutes(listRoutes(project.dir), context),
+      readmeEnv: formatEnv(project, context, { answers, modules }),
+    },
+    templatePath,
+  );
+  fs.writeFileSync(path.join(project.dir, README_FILE), content, "utf-8");
+  return true;
+}
+
+module.exports = {
+  README_FILE,
+  getSetupSteps,
+  listRoutes,
+  writeReadme,
+};
@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+const prompts = require("prompts");
+
+const { listModules, getModule, readProject } = require("./modules");
+const { readJson, writeJson } = require("./packageJson");
+const { ENV_FILES, isExampleEnvFile, removeEnvVars } = require("./envFile");
+const {
+  applyModuleAnswers,
+  getModulePaths,
+  stripModuleReferences,
+} = require("./moduleInstaller");
+const {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  getInstallCommand,
+  tryInstallDependencies,
+} = require("./pkgManager");
+const { findFlagValue } = require("./cliOptions");
+const { updateLockfile } = require("./lockfile");
+const { createReporter } = require("./reporter");
+const { removeEmptyParents } = require("./staging");
+const {
+  InvalidOptionsError,
+  UnknownModuleError,
+  CancelledError,
+} = require("./errors");
+
+/**
+ * Dependencies the module added that no other installed module still needs
+ */
+function getPrunableDependencies(project, mod) {
+  const fragmentPath = path.join(mod.templateDir, "package.json");
+  if (!fs.existsSync(fragmentPath)) {
+    return { dependencies: [], devDependencies: [] };
+  }
+
+  const fragment = readJson(fragmentPath);
+  const stillNeeded = new Set();
+
+  for (const other of listModules(project.language, project.templateDir)) {
+    if (other.name === mod.name || !project.modules[other.name]) continue;
+
+    const otherPath = path.join(other.templateDir, "package.json");
+    if (!fs.existsSync(otherPath)) continue;
+
+    const otherFragment = readJson(otherPath);
+    Object.keys({
+      ...otherFragment.dependencies,
+      ...otherFragment.devDependencies,
+    }).forEach((dep) => stillNeeded.add(dep));
+  }
+
+  const prunable = (deps) =>
+    Object.keys(deps || {}).filter((dep) => !stillNeeded.has(dep));
+
+  return {
+    dependencies: prunable(fragment.dependencies),
+    devDependencies: prunable(fragment.devDependencies),
+  };
+}
+
+/**
+ * The tarball in the project a dependency points at, e.g.
+ * `file:./local-packages/charcoles-swagger-1.1.0.tgz`, or null
+ */
+function getLocalTarball(projectDir, spec) {
+  const match = /^file:(.+\.tgz)$/.exec(spec);
+  if (!match) return null;
+
+  const tarball = path.resolve(projectDir, match[1]);
+  return tarball.startsWith(projectDir + path.sep) && fs.existsSync(tarball)
+    ? tarball
+    : null;
+}
+
+/**
+ * `create-charcole remove <module>` — take an optional module out of the
+ * project in the current directory
+ */
+async function runRemove(args, reporter = createReporter()) {
+  const pm = findFlagValue(args, "pm");
+  const moduleName = args.find(
+    (arg, i) => !arg.startsWith("-") && args[i - 1] !== "--pm",
+  );
+  const project = readProject(process.cwd());
+  const available = listModules(project.language, project.templateDir).map(
+    (mod) => mod.name,
+  );
+
+  if (!moduleName) {
+    throw new InvalidOptionsError(
+      `Usage: create-charcole remove <module> (${available.join(", ")})`,
+    );
+  }
+
+  if (pm !== null && !PACKAGE_MANAGERS.includes(pm)) {
+    throw new InvalidOptionsError(
+      `--pm must be one of ${PACKAGE_MANAGERS.join(", ")} (got "${pm}")`,
+    );
+  }
+
+  const manifest = getModule(moduleName, project.language, project.templateDir);
+
+  if (!manifest) {
+    throw new UnknownModuleError(moduleName, available);
+  }
+
+  if (!project.modules[moduleName]) {
+    reporter.finish(`${moduleName} is not part of this project`, {
+      module: moduleName,
+      removed: false,
+    });
+    return;
+  }
+
+  // References can depend on the answers, e.g. the payments mount path
+  const mod = applyModuleAnswers(manifest, project.answers);
+
+  const dependents = listModules(project.language, project.templateDir).filter(
+    (other) => project.modules[other.name] && other.requires.includes(mod.name),
+  );
+  if (dependents.length > 0) {
+    throw new InvalidOptionsError(
+      `Can't remove ${moduleName}: ${dependents.map((other) => other.name).join(", ")} depends on it`,
+    );
+  }
+
+  const deletedPaths = getModulePaths(project, mod).filter((fullPath) =>
+    fs.existsSync(fullPath),
+  );
+
+  if (!args.includes("--yes") && !args.includes("-y")) {
+    if (!process.stdin.isTTY || reporter.isJson) {
+      throw new InvalidOptionsError(
+        `Pass --yes to remove ${moduleName} without a terminal to confirm in`,
+      );
+    }
+
+    reporter.info(`\nThis will delete:`);
+    for (const fullPath of deletedPaths) {
+      reporter.info(`  ${path.relative(project.dir, fullPath)}`);
+    }
+
+    const { confirmed } = await prompts({
+      type: "confirm",
+      name: "confirmed",
+      message: `Remove the ${moduleName} module from this project?`,
+      initial: false,
+    });
+
+    // Also undefined when the prompt was aborted
+    if (!confirmed) {
+      throw new CancelledError(null, { outcome: "nothing was removed" });
+    }
+  }
+
+  reporter.info(`\n🧹 Removing ${mod.description}...`);
+
+  // 1. Rewrite the files that wire the module in
+  const { updated, manualSteps } = stripModuleReferences(project, mod);
+  for (const { file, removed } of updated) {
+    reporter.info(`✓ Updated ${file}`);
+    for (const line of removed) {
+      reporter.info(`    - ${line}`);
+    }
+  }
+
+  // 2. Delete the module folder and its config files, and the folders that
+  // leaves empty (e.g. src/lib once src/lib/swagger is gone)
+  for (const fullPath of deletedPaths) {
+    fs.rmSync(fullPath, { recursive: true, force: true });
+    removeEmptyParents(path.dirname(fullPath), project.dir);
+    reporter.info(`✓ Deleted ${path.relative(project.dir, fullPath)}`);
+  }
+
+  // 3. Prune the dependencies only this module needed
+  const prunable = getPrunableDependencies(project, mod);
+  const pkg = { ...project.pkg };
+  const pruned = [];
+  const tarballs = [];
+
+  for (const field of ["dependencies", "devDependencies"]) {
+    if (!pkg[field]) continue;
+    pkg[field] = { ...pkg[field] };
+    for (const dep of prunable[field]) {
+      if (dep in pkg[field]) {
+        const tarball = getLocalTarball(project.dir, pkg[field][dep]);
+        if (tarball) tarballs.push(tarball);
+        delete pkg[field][dep];
+        pruned.push(dep);
+      }
+    }
+  }
+
+  if (pruned.length > 0) {
+    writeJson(path.join(project.dir, "package.json"), pkg);
+    reporter.info(`✓ Removed dependencies: ${pruned.join(", ")}`);
+  }
+
+  // Their tarballs, e.g. the builds from --local-packages
+  for (const tarball of tarballs) {
+    fs.rmSync(tarball, { force: true });
+    removeEmptyParents(path.dirname(tarball), project.dir);
+    deletedPaths.push(tarball);
+    reporter.info(`✓ Deleted ${path.relative(project.dir, tarball)}`);
+  }
+
+  // 4. Env vars — only the example files, the others may hold real secrets
+  const exampleEnvFiles = ENV_FILES.filter(isExampleEnvFile);
+  if (mod.env) {
+    for (const envFile of exampleEnvFiles) {
+      const removed = removeEnvVars(path.join(project.dir, envFile), mod.env);
+      if (removed.length > 0) {
+        reporter.info(`✓ Removed ${removed.join(", ")} from ${envFile}`);
+      }
+    }
+  }
+
+  let installError = null;
+  if (pruned.length > 0 && !args.includes("--skip-install")) {
+    const pkgManager = pm || detectPackageManager(project.dir);
+    reporter.info(`\n📦 Updating dependencies using ${pkgManager}...`);
+    installError = tryInstallDependencies(project.dir, pkgManager, {
+      stdio:
+        reporter.mode === "normal" || reporter.mode === "verbose"
+          ? "inherit"
+          : "pipe",
+    });
+    if (installError) {
+      reporter.warn(
+        `Couldn't update dependencies (${installError}). Run \`${getInstallCommand(pkgManager)}\` once the problem is fixed.`,
+      );
+    }
+  }
+
+  updateLockfile(project.dir, {
+    answers: {
+      [mod.prompt.name]: false,
+      ...Object.fromEntries(mod.options.map((o) => [o.name, undefined])),
+    },
+    files: [
+      ...deletedPaths,
+      ...updated.map(({ file }) => file),
+      "package.json",
+      ...exampleEnvFiles,
+    ],
+  });
+
+  if (mod.env) {
+    reporter.info(
+      `ℹ️  Left ${mod.env.vars.map((v) => v.key).join(", ")} in your .env files — delete them if you no longer need them`,
+    );
+  }
+
+  reporter.record({ manualSteps });
+  reporter.finish(`Removed ${moduleName} module`, {
+    module: moduleName,
+    removed: true,
+    deleted: deletedPaths.map((fullPath) =>
+      path.relative(project.dir, fullPath),
+    ),
+    updated: updated.map(({ file }) => file),
+    removedDependencies: pruned,
+  });
+}
+
+module.exports = {
+  runRemove,
+};
@@ -0,0 +1,140 @@
+/**
+ * How much the CLI prints while it runs a command:
+ *
+ * - `normal`  — each step and what it did
+ * - `quiet`   — warnings, errors and the final result only
+ * - `verbose` — everything, including debug lines such as skipped files
+ * - `json`    — nothing while running, then one JSON summary on stdout
+ * - `silent`  — nothing at all; the default for `createProject()` callers
+ */
+const OUTPUT_MODES = ["normal", "quiet", "verbose", "json", "silent"];
+
+/**
+ * Create the reporter that all CLI output goes through. Besides
+ * printing, it collects a summary (files, dependencies, warnings, next steps)
+ * that `finish()` writes out in JSON mode.
+ */
+function createReporter(mode = "normal") {
+  if (!OUTPUT_MODES.includes(mode)) {
+    throw new Error(`Unknown output mode "${mode}"`);
+  }
+
+  const showInfo = mode === "normal" || mode === "verbose";
+  const showDebug = mode === "verbose";
+  const isJson = mode === "json";
+  const isSilent = mode === "silent";
+
+  const summary = {
+    files: [],
+    dependencies: {},
+    devDependencies: {},
+    warnings: [],
+    nextSteps: [],
+    manualSteps: [],
+  };
+  let totalSteps = null;
+  let stepCount = 0;
+
+  return {
+    mode,
+    isJson,
+
+    /**
+     * How many steps the run has, so progress reads `[3/9]`
+     */
+    setTotalSteps(total) {
+      totalSteps = total;
+    },
+
+    /**
+     * Start the next step of the run
+     */
+    step(title) {
+      stepCount++;
+      if (!showInfo) return;
+      const progress = totalSteps
+        ? `${stepCount}/${totalSteps}`
+        : String(stepCount);
+      console.log(`\n[${progress}] ${title}`);
+    },
+
+    info(message) {
+      if (showInfo) console.log(message);
+    },
+
+    /**
+     * Print what a command is run to show, such as a list. Unlike `info` it
+     * isn't hidden by --quiet; JSON mode leaves it to the summary.
+     */
+    output(message) {
+      if (!isJson && !isSilent) console.log(message);
+    },
+
+    debug(message) {
+      if (showDebug) console.log(message);
+    },
+
+    warn(message) {
+      summary.warnings.push(message);
+      if (!isJson && !isSilent) console.warn(`⚠️  ${message}`);
+    },
+
+    /**
+     * Report what stopped the run. In JSON mode this is the summary, with
+     * `ok: false`; the caller still decides the exit code.
+     */
+    error(message, details = []) {
+      if (isSilent) return;
+      if (isJson) {
+        process.stdout.write(
+          `${JSON.stringify(
+            { ok: false, error: message, details, warnings: summary.warnings },
+            null,
+            2,
+          )}\n`,
+        );
+        return;
+      }
+      console.error(`❌ ${message}`);
+      for (const detail of details) {
+        console.error(`  ${detail}`);
+      }
+    },
+
+    /**
+     * Add facts to the summary, e.g. `{ files, nextSteps }`
+     */
+    record(values) {
+      Object.assign(summary, values);
+    },
+
+    /**
+     * Print the final result: a message, or the JSON summary in JSON mode
+     */
+    finish(message, extra = {}) {
+      if (isSilent) return;
+      if (isJson) {
+        process.stdout.write(
+          `${JSON.stringify({ ok: true, ...summary, ...extra }, null, 2)}\n`,
+        );
+        return;
+      }
+
+      console.log(`\n✅ ${message}`);
+      if (summary.nextSteps.length > 0) {
+        console.log(`\n🚀 Next steps:\n  ${summary.nextSteps.join("\n  ")}`);
+      }
+      if (summary.manualSteps.length > 0) {
+        console.log("\n✋ Some changes need to be made by hand:");
+        for (const step of summary.manualSteps) {
+          console.log(`  - ${step}`);
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  createReporter,
+};
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+
+const { CancelledError } = require("./errors");
+
+function move(src, dest) {
+  try {
+    fs.renameSync(src, dest);
+  } catch (err) {
+    // Renames can fail on Windows when a virus scanner holds a file open
+    fs.cpSync(src, dest, { recursive: true });
+    fs.rmSync(src, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build a project in a staging folder next to `targetDir` and only move it
+ * into place once everything worked. On failure, Ctrl+C or SIGTERM the
+ * staging folder is removed so no half-written project is left behind; after
+ * a signal the next `step` or `commit` throws CancelledError.
+ *
+ * `targetDir` may already exist when it only holds entries the project
+ * doesn't have, such as a `.git` folder; the project is then moved in entry by
+ * entry.
+ *
+ * `step(name)` records what is running so a failure can say where it broke.
+ */
+function createStaging(targetDir) {
+  const stagingDir = path.join(
+    path.dirname(targetDir),
+    `.${path.basename(targetDir)}.charcole-staging-${process.pid}`,
+  );
+
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  const completed = [];
+  let current = null;
+  let finished = false;
+  let cancelled = null;
+
+  const onSignal = (signal) => {
+    cancelled = new CancelledError(current, { signal });
+    rollback();
+  };
+
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  function finish() {
+    finished = true;
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+  }
+
+  function step(name) {
+    if (cancelled) throw cancelled;
+    if (current) completed.push(current);
+    current = name;
+  }
+
+  /**
+   * Move the staged project to its final location. Returns the paths that
+   * were put there, so later steps can take them out again.
+   */
+  function commit() {
+    if (cancelled) throw cancelled;
+    step("Moving the project into place");
+    let placed = [targetDir];
+
+    if (fs.existsSync(targetDir)) {
+      const entries = fs.readdirSync(stagingDir);
+      const clashes = entries.filter((entry) =>
+        fs.existsSync(path.join(targetDir, entry)),
+      );
+      if (clashes.length > 0) {
+        throw new Error(
+          `${clashes.join(", ")} appeared in ${targetDir} meanwhile`,
+        );
+      }
+
+      placed = entries.map((entry) => path.join(targetDir, entry));
+      for (const entry of entries) {
+        move(path.join(stagingDir, entry), path.join(targetDir, entry));
+      }
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    } else {
+      move(stagingDir, targetDir);
+    }
+
+    completed.push(current);
+    current = null;
+    finish();
+    return placed;
+  }
+
+  /**
+   * Throw the staged project away. Safe to call more than once.
+   */
+  function rollback() {
+    if (finished) return;
+    finish();
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Which steps finished and which one was running when things stopped
+   */
+  function summary() {
+    return { completed: [...completed], failed: current };
+  }
+
+  return { dir: stagingDir, step, commit, rollback, summary };
+}
+
+function readTree(filePath, contents) {
+  if (fs.statSync(filePath).isDirectory()) {
+    for (const entry of fs.readdirSync(filePath)) {
+      readTree(path.join(filePath, entry), contents);
+    }
+  } else {
+    contents.set(filePath, fs.readFileSync(filePath));
+  }
+  return contents;
+}
+
+/**
+ * Remove `dir` and the folders above it that are left empty, stopping at
+ * `rootDir`
+ */
+function removeEmptyParents(dir, rootDir) {
+  while (dir !== rootDir && dir.startsWith(rootDir + path.sep)) {
+    if (!fs.existsSync(dir)) {
+      dir = path.dirname(dir);
+      continue;
+    }
+    if (fs.readdirSync(dir).length > 0) return;
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Remember the files and folders at `paths` inside an existing project so
+ * changes made in place can be undone. `restore()` writes the files back,
+ * deletes whatever was added under the paths and the folders that leaves
+ * empty, up to `rootDir`.
+ */
+function snapshotPaths(rootDir, paths) {
+  const contents = new Map();
+  const missing = paths.filter((filePath) => !fs.existsSync(filePath));
+  for (const filePath of paths) {
+    if (!missing.includes(filePath)) readTree(filePath, contents);
+  }
+
+  function restore() {
+    for (const filePath of paths) {
+      if (!fs.existsSync(filePath)) continue;
+      if (missing.includes(filePath)) {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        removeEmptyParents(path.dirname(filePath), rootDir);
+        continue;
+      }
+      for (const current of readTree(filePath, new Map()).keys()) {
+        if (!contents.has(current)) {
+          fs.rmSync(current, { force: true });
+          removeEmptyParents(path.dirname(current), rootDir);
+        }
+      }
+    }
+    for (const [filePath, content] of contents) {
+      if (
+        fs.existsSync(filePath) &&
+        content.equals(fs.readFileSync(filePath))
+      ) {
+        continue;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+  }
+
+  return { restore };
+}
+
+module.exports = {
+  createStaging,
+  removeEmptyParents,
+  snapshotPaths,
+};
@@ -3,8 +3,17 @@ const path = require("path");
 
 /**
  * Recursively copy directory contents, excluding specific files
+ *
+ * With `overwrite: false` files that already exist in `dest` are left alone.
+ * Returns the destination paths that were copied and the ones that were kept.
  */
-function copyDir(src, dest, excludeFiles = []) {
+function copyDir(
+  src,
+  dest,
+  excludeFiles = [],
+  { overwrite = true } = {},
+  result = { copied: [], skipped: [] },
+) {
   if (!fs.existsSync(dest)) {
     fs.mkdirSync(dest, { recursive: true });
   }
@@ -21,13 +30,36 @@ function copyDir(src, dest, excludeFiles = []) {
     }
 
     if (entry.isDirectory()) {
-      copyDir(srcPath, destPath, excludeFiles);
+      copyDir(srcPath, destPath, excludeFiles, { overwrite }, result);
     } else {
-      fs.copyFileSync(srcPath, destPath);
+      copyFile(srcPath, destPath, { overwrite }, result);
     }
   }
+
+  return result;
+}
+
+/**
+ * Copy a single file, creating its parent directory when needed
+ */
+function copyFile(
+  src,
+  dest,
+  { overwrite = true } = {},
+  result = { copied: [], skipped: [] },
+) {
+  if (!overwrite && fs.existsSync(dest)) {
+    result.skipped.push(dest);
+    return result;
+  }
+
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.copyFileSync(src, dest);
+  result.copied.push(dest);
+  return result;
 }
 
 module.exports = {
   copyDir,
+  copyFile,
 };
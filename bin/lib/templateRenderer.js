@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+
+// Files that are copied as-is and never rendered
+const BINARY_EXTENSIONS = [".tgz", ".png", ".jpg", ".jpeg", ".gif", ".ico"];
+
+// `// @if auth`, `# @else`, `<!-- @endif -->` — any comment style on its own line
+const DIRECTIVE =
+  /^\s*(?:\/\/|#|<!--)\s*@(if|else|endif)\b\s*(.*?)\s*(?:-->)?\s*$/;
+const VARIABLE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Evaluate a condition like `auth`, `!swagger`, `auth && payments` or
+ * `swagger || payments` against the render context
+ */
+function evaluateCondition(condition, context) {
+  return condition.split("||").some((group) =>
+    group.split("&&").every((term) => {
+      const name = term.trim();
+      if (!/^!?[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid @if condition "${condition}"`);
+      }
+      return name.startsWith("!") ? !context[name.slice(1)] : !!context[name];
+    }),
+  );
+}
+
+/**
+ * A value as it's written into a file. Lists are meant to sit in a quoted
+ * string, so `["{{userRoles}}"]` becomes `["user", "admin"]`.
+ */
+function formatValue(value) {
+  return Array.isArray(value) ? value.join('", "') : String(value);
+}
+
+/**
+ * Render a template: keep or drop `@if` / `@else` / `@endif` regions and fill
+ * in `{{variables}}`. Unknown variables are left untouched.
+ */
+function renderTemplate(content, context, fileName = "template") {
+  const output = [];
+  // One entry per open @if: whether its current branch is kept
+  const stack = [];
+  const lines = content.split("\n");
+
+  lines.forEach((line, index) => {
+    const directive = line.match(DIRECTIVE);
+    const location = `${fileName}:${index + 1}`;
+
+    if (directive) {
+      const [, keyword, condition] = directive;
+
+      if (keyword === "if") {
+        if (!condition) throw new Error(`${location}: @if needs a condition`);
+        stack.push({
+          kept: evaluateCondition(condition, context),
+          hasElse: false,
+        });
+      } else if (keyword === "else") {
+        const block = stack[stack.length - 1];
+        if (!block || block.hasElse) {
+          throw new Error(`${location}: @else without a matching @if`);
+        }
+        block.kept = !block.kept;
+        block.hasElse = true;
+      } else {
+        if (stack.length === 0) {
+          throw new Error(`${location}: @endif without a matching @if`);
+        }
+        stack.pop();
+      }
+
+      // Directives never make it into the output
+      return;
+    }
+
+    if (stack.every((block) => block.kept)) {
+      output.push(
+        line.replace(VARIABLE, (match, name) =>
+          context[name] === undefined ? match : formatValue(context[name]),
+        ),
+      );
+    }
+  });
+
+  if (stack.length > 0) {
+    throw new Error(`${fileName}: @if without a matching @endif`);
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * The `@if <condition>` regions of a template that have an `@else`, as
+ * `{ kept, fallback }` line lists for the two branches. Regions with other
+ * directives inside are left out.
+ */
+function findElseRegions(content, condition) {
+  const regions = [];
+  let region = null;
+  let depth = 0;
+
+  for (const line of content.split("\n")) {
+    const directive = line.match(DIRECTIVE);
+
+    if (!directive) {
+      if (region) (region.inElse ? region.fallback : region.kept).push(line);
+      continue;
+    }
+
+    const [, keyword, rest] = directive;
+    if (keyword === "if") {
+      depth++;
+      if (depth === 1 && rest === condition) {
+        region = { kept: [], fallback: [], inElse: false, nested: false };
+      } else if (region) {
+        region.nested = true;
+      }
+    } else if (keyword === "else") {
+      if (region && depth === 1) region.inElse = true;
+    } else {
+      depth--;
+      if (depth === 0 && region) {
+        if (region.inElse && !region.nested) {
+          regions.push({ kept: region.kept, fallback: region.fallback });
+        }
+        region = null;
+      }
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Render files in place. Directories are walked recursively; binary files are
+ * skipped.
+ */
+function renderFiles(paths, context) {
+  for (const filePath of paths) {
+    if (!fs.existsSync(filePath)) continue;
+
+    if (fs.statSync(filePath).isDirectory()) {
+      renderFiles(
+        fs.readdirSync(filePath).map((entry) => path.join(filePath, entry)),
+        context,
+      );
+      continue;
+    }
+
+    if (BINARY_EXTENSIONS.includes(path.extname(filePath))) continue;
+
+    const content = fs.readFileSync(filePath, "utf-8");
+    const rendered = renderTemplate(content, context, filePath);
+    if (rendered !== content) {
+      fs.writeFileSync(filePath, rendered, "utf-8");
+    }
+  }
+}
+
+/**
+ * Values available to templates: project variables, the answers to module
+ * follow-up questions, and one flag per optional module, per language and
+ * per database
+ */
+function getRenderContext(project) {
+  return {
+    ...project.answers,
+    projectName: project.pkg.name,
+    appVersion: project.pkg.version,
+    language: project.language,
+    [project.language]: true,
+    ...(project.database && {
+      database: project.database,
+      [project.database]: true,
+    }),
+    ...project.modules,
+    ...(project.localPackages && { localPackages: true }),
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  findElseRegions,
+  renderFiles,
+  getRenderContext,
+};
@@ -0,0 +1,310 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { merge } = require("node-diff3");
+
+const { DEFAULT_DATABASE, listModules, getDatabase } = require("./modules");
+const { writeJson } = require("./packageJson");
+const { getProjectFolder } = require("./projectName");
+const {
+  LOCKFILE,
+  CLI_VERSION,
+  hashContent,
+  listTrackedFiles,
+  readLockfile,
+} = require("./lockfile");
+const { createReporter } = require("./reporter");
+const { NotAProjectError } = require("./errors");
+
+/**
+ * Preset for regenerating the project with this CLI version. Modules that
+ * were added to Charcole after the project was made stay out, and answers for
+ * modules this version no longer has are dropped.
+ */
+function getCurrentPreset(lock) {
+  const preset = { language: lock.language };
+  const templateDir = lock.template || undefined;
+
+  // Projects from before the database prompt used the in-memory repositories
+  const database = lock.answers.database || DEFAULT_DATABASE;
+  if (getDatabase(database, lock.language, templateDir)) {
+    preset.database = database;
+  }
+  preset.docker = Boolean(lock.answers.docker);
+  preset.envFiles = Boolean(lock.answers.envFiles);
+
+  for (const mod of listModules(lock.language, templateDir)) {
+    const names = [mod.prompt.name, ...mod.options.map((o) => o.name)];
+    for (const name of names) {
+      if (lock.answers[name] !== undefined) preset[name] = lock.answers[name];
+    }
+    if (preset[mod.prompt.name] === undefined) preset[mod.prompt.name] = false;
+  }
+
+  return preset;
+}
+
+// npm is npm.cmd on Windows, which Node only runs through a shell
+const USE_SHELL = process.platform === "win32";
+
+/**
+ * Quote an argument for cmd.exe when it has spaces or characters cmd.exe
+ * treats specially
+ */
+function quoteForShell(arg) {
+  return /^[\w@+=:,./\\-]+$/.test(arg) ? arg : `"${arg.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Generate a pristine copy of the project in `workDir` by running a Charcole
+ * CLI non-interactively. `command` is the program and its arguments, which
+ * run without a shell, except on Windows where they are quoted for cmd.exe.
+ * Projects made from a custom template are generated from that template
+ * again. Returns the generated project folder.
+ */
+function generatePristine(workDir, [file, ...args], lock, preset) {
+  fs.mkdirSync(workDir, { recursive: true });
+  const presetPath = path.join(workDir, "preset.json");
+  writeJson(presetPath, preset);
+  const command = [file, ...args].join(" ");
+  const fullArgs = [
+    ...args,
+    lock.projectName,
+    "--preset",
+    presetPath,
+    ...(lock.template ? ["--template", lock.template] : []),
+    "--yes",
+    "--skip-install",
+    "--skip-git",
+  ];
+
+  try {
+    if (USE_SHELL) {
+      execFileSync(quoteForShell(file), fullArgs.map(quoteForShell), {
+        cwd: workDir,
+        stdio: "pipe",
+        shell: true,
+      });
+    } else {
+      execFileSync(file, fullArgs, { cwd: workDir, stdio: "pipe" });
+    }
+  } catch (err) {
+    const output = `${err.stdout || ""}${err.stderr || ""}`.trim();
+    throw new Error(`${command} failed${output ? `:\n${output}` : ""}`);
+  }
+
+  const generatedDir = path.join(workDir, getProjectFolder(lock.projectName));
+  if (!fs.existsSync(generatedDir)) {
+    throw new Error(`${command} did not create ${lock.projectName}`);
+  }
+  return generatedDir;
+}
+
+function readText(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+}
+
+/**
+ * Decide what happens to one file given the old template output (`base`),
+ * the new template output (`theirs`) and the user's copy (`ours`)
+ */
+function planFile({ base, theirs, ours, lockedHash }) {
+  // Template didn't change this file
+  if (base === theirs) return { action: "keep" };
+
+  const untouched = ours !== null && hashContent(ours) === lockedHash;
+
+  if (theirs === null) {
+    if (ours === null) return { action: "keep" };
+    return untouched
+      ? { action: "delete" }
+      : {
+          action: "conflict",
+          reason: "was removed from the template but you changed it",
+        };
+  }
+
+  if (ours === null) {
+    return base === null
+      ? { action: "write", content: theirs, kind: "added" }
+      : { action: "skip", reason: "you deleted it" };
+  }
+
+  if (ours === theirs) return { action: "keep" };
+  if (untouched || ours === base) {
+    return { action: "write", content: theirs, kind: "updated" };
+  }
+
+  // Both sides changed: three-way merge
+  const result = merge(
+    ours.split("\n"),
+    (base || "").split("\n"),
+    theirs.split("\n"),
+    { label: { a: "yours", b: `charcole ${CLI_VERSION}` } },
+  );
+  const content = result.result.join("\n");
+
+  return result.conflict
+    ? { action: "conflict", reason: "has conflicting changes", content }
+    : { action: "write", content, kind: "merged" };
+}
+
+/**
+ * `create-charcole upgrade` — merge template changes from this Charcole
+ * version into the project in the current directory
+ */
+async function runUpgrade(args, reporter = createReporter()) {
+  const projectDir = process.cwd();
+  const lock = readLockfile(projectDir);
+
+  if (!lock) {
+    throw new NotAProjectError(
+      `No ${LOCKFILE} found. Run this inside a project created with create-charcole ${CLI_VERSION} or later.`,
+    );
+  }
+
+  // Where to get the Charcole version the project was made with
+  const fromIndex = args.findIndex((arg) => arg === "--from");
+  const fromSpec =
+    fromIndex !== -1
+      ? args[fromIndex + 1]
+      : (args.find((arg) => arg.startsWith("--from=")) || "").slice(7) || null;
+
+  if (lock.version === CLI_VERSION && !fromSpec) {
+    reporter.finish(`Already on Charcole ${CLI_VERSION} — nothing to upgrade`, {
+      version: CLI_VERSION,
+      changed: [],
+    });
+    return;
+  }
+
+  reporter.info(
+    `\n⬆️  Upgrading from Charcole ${lock.version} to ${CLI_VERSION}...`,
+  );
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "charcole-upgrade-"));
+
+  try {
+    const baseSpec = fromSpec || `create-charcole@${lock.version}`;
+    reporter.info(`📦 Generating the original project with ${baseSpec}...`);
+    const baseDir = generatePristine(
+      path.join(workDir, "base"),
+      [
+        "npm",
+        "exec",
+        "--yes",
+        `--package=${baseSpec}`,
+        "--",
+        "create-charcole",
+      ],
+      lock,
+      { language: lock.language, ...lock.answers },
+    );
+
+    reporter.info(`📦 Generating the project with Charcole ${CLI_VERSION}...`);
+    const theirsPreset = getCurrentPreset(lock);
+    const theirsDir = generatePristine(
+      path.join(workDir, "theirs"),
+      [process.execPath, path.join(__dirname, "..", "index.js")],
+      lock,
+      theirsPreset,
+    );
+
+    const files = [
+      ...new Set([
+        ...listTrackedFiles(baseDir),
+        ...listTrackedFiles(theirsDir),
+      ]),
+    ].sort();
+
+    const conflicts = [];
+    const skipped = [];
+    const changed = [];
+
+    for (const file of files) {
+      const target = path.join(projectDir, file);
+      const plan = planFile({
+        base: readText(path.join(baseDir, file)),
+        theirs: readText(path.join(theirsDir, file)),
+        ours: readText(target),
+        lockedHash: lock.files[file],
+      });
+
+      if (plan.action === "write") {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, plan.content, "utf-8");
+        changed.push(file);
+        reporter.info(
+          plan.kind === "merged"
+            ? `✓ Merged ${file} (your changes were kept)`
+            : `✓ ${plan.kind === "added" ? "Added" : "Updated"} ${file}`,
+        );
+      } else if (plan.action === "delete") {
+        fs.unlinkSync(target);
+        changed.push(file);
+        reporter.info(`✓ Removed ${file}`);
+      } else if (plan.action === "conflict") {
+        if (plan.content) {
+          fs.writeFileSync(`${target}.charcole-conflict`, plan.content);
+        }
+        conflicts.push({ file, ...plan });
+      } else if (plan.action === "skip") {
+        skipped.push({ file, ...plan });
+      }
+    }
+
+    // The new template output is the baseline for the next upgrade. Files
+    // that weren't updated keep their old hash, so they still count as
+    // changed by you rather than as matching the new template.
+    const lockedFiles = Object.fromEntries(
+      listTrackedFiles(theirsDir).map((file) => [
+        file,
+        hashContent(fs.readFileSync(path.join(theirsDir, file))),
+      ]),
+    );
+    for (const { file } of [...conflicts, ...skipped]) {
+      if (lock.files[file]) lockedFiles[file] = lock.files[file];
+      else delete lockedFiles[file];
+    }
+
+    const { language, ...answers } = theirsPreset;
+    writeJson(path.join(projectDir, LOCKFILE), {
+      ...lock,
+      version: CLI_VERSION,
+      language,
+      answers,
+      files: lockedFiles,
+    });
+
+    for (const { file, reason } of skipped) {
+      reporter.info(`⏭️  Skipped ${file} — ${reason}`);
+    }
+
+    reporter.record({
+      nextSteps: changed.includes("package.json")
+        ? ["Reinstall your dependencies — package.json changed"]
+        : [],
+      // Files that conflict with your edits are left unchanged
+      manualSteps: conflicts.map(
+        ({ file, reason, content }) =>
+          `${file} ${reason}, so it was left unchanged${content ? ` — the merge with conflict markers is in ${file}.charcole-conflict` : ""}`,
+      ),
+    });
+    reporter.finish(
+      `Upgraded to Charcole ${CLI_VERSION} (${changed.length} file(s) changed)`,
+      {
+        version: CLI_VERSION,
+        changed,
+        conflicts: conflicts.map(({ file }) => file),
+        skipped: skipped.map(({ file }) => file),
+      },
+    );
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  runUpgrade,
+};
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readJson, writeJson } = require("./packageJson");
+
+const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+const TSCONFIG_BASE_FILE = "tsconfig.base.json";
+
+// Which package manager a `workspaces` root uses, by its lockfile; npm otherwise
+const WORKSPACE_LOCKFILES = {
+  "yarn.lock": "yarn",
+  "bun.lockb": "bun",
+  "bun.lock": "bun",
+};
+
+/**
+ * The package patterns listed in a pnpm-workspace.yaml, or null when the
+ * list can't be read line by line (e.g. a flow-style `[a, b]` list)
+ */
+function readPnpmPatterns(content) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex((line) => /^packages:\s*$/.test(line));
+  if (start === -1) {
+    return /^packages:/m.test(content) ? null : [];
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*(#.*)?$/.test(line)) continue;
+    const item = line.match(/^\s+-\s*(.+?)\s*$/);
+    if (!item) break;
+    patterns.push(item[1].replace(/^["']|["']$/g, ""));
+  }
+  return patterns;
+}
+
+/**
+ * The workspace packages a package.json declares, or null if it has none.
+ * Yarn also accepts `{ "packages": [...] }`.
+ */
+function readPackageJsonPatterns(pkg) {
+  if (Array.isArray(pkg.workspaces)) return pkg.workspaces;
+  if (pkg.workspaces && Array.isArray(pkg.workspaces.packages)) {
+    return pkg.workspaces.packages;
+  }
+  return null;
+}
+
+/**
+ * Find the workspace that encloses `dir`: the nearest folder above it with a
+ * pnpm-workspace.yaml, or a package.json with `workspaces`. Returns
+ * `{ root, pm, configFile, patterns }`, or null outside a workspace.
+ */
+function findWorkspaceRoot(dir) {
+  let current = path.resolve(dir);
+
+  while (true) {
+    const pnpmPath = path.join(current, PNPM_WORKSPACE_FILE);
+    if (fs.existsSync(pnpmPath)) {
+      return {
+        root: current,
+        pm: "pnpm",
+        configFile: PNPM_WORKSPACE_FILE,
+        patterns: readPnpmPatterns(fs.readFileSync(pnpmPath, "utf-8")),
+      };
+    }
+
+    const pkgPath = path.join(current, "package.json");
+    const patterns = fs.existsSync(pkgPath)
+      ? readPackageJsonPatterns(readJson(pkgPath))
+      : null;
+    if (patterns) {
+      const lockFile = Object.keys(WORKSPACE_LOCKFILES).find((file) =>
+        fs.existsSync(path.join(current, file)),
+      );
+      return {
+        root: current,
+        pm: lockFile ? WORKSPACE_LOCKFILES[lockFile] : "npm",
+        configFile: "package.json",
+        patterns,
+      };
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*"),
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a folder (relative to the workspace root, with `/`) is matched by
+ * the workspace's package patterns
+ */
+function isWorkspacePackage(patterns, relativeDir) {
+  let included = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) {
+      if (globToRegExp(pattern.slice(1)).test(relativeDir)) included = false;
+    } else if (globToRegExp(pattern).test(relativeDir)) {
+      included = true;
+    }
+  }
+  return included;
+}
+
+function toWorkspacePath(workspace, projectDir) {
+  return path.relative(workspace.root, projectDir).split(path.sep).join("/");
+}
+
+/**
+ * List the project in the workspace config unless a pattern already covers
+ * it. Returns a function that puts the config back as it was, or null when
+ * nothing had to change. Throws when the config can't be edited safely.
+ */
+function addToWorkspace(workspace, projectDir) {
+  const relativeDir = toWorkspacePath(workspace, projectDir);
+  const configPath = path.join(workspace.root, workspace.configFile);
+
+  if (workspace.patterns === null) {
+    throw new Error(
+      `Can't edit the packages list in ${configPath} — add "${relativeDir}" to it by hand`,
+    );
+  }
+  if (isWorkspacePackage(workspace.patterns, relativeDir)) return null;
+
+  const original = fs.readFileSync(configPath, "utf-8");
+
+  if (workspace.configFile === PNPM_WORKSPACE_FILE) {
+    const lines = original.split("\n");
+    const start = lines.findIndex((line) => /^packages:\s*$/.test(line));
+    if (start === -1) {
+      const separator = original === "" || original.endsWith("\n") ? "" : "\n";
+      fs.writeFileSync(
+        configPath,
+        `${original}${separator}packages:\n  - "${relativeDir}"\n`,
+        "utf-8",
+      );
+    } else {
+      // After the last item, keeping its indentation
+      let last = start;
+      for (let i = start + 1; i < lines.length; i++) {
+        if (/^\s*(#.*)?\r?$/.test(lines[i])) continue;
+        if (!/^\s+-/.test(lines[i])) break;
+        last = i;
+      }
+      const indent = last > start ? lines[last].match(/^\s*/)[0] : "  ";
+      lines.splice(last + 1, 0, `${indent}- "${relativeDir}"`);
+      fs.writeFileSync(configPath, lines.join("\n"), "utf-8");
+    }
+  } else {
+    const pkg = readJson(configPath);
+    if (Array.isArray(pkg.workspaces)) {
+      pkg.workspaces = [...pkg.workspaces, relativeDir];
+    } else {
+      pkg.workspaces = {
+        ...pkg.workspaces,
+        packages: [...pkg.workspaces.packages, relativeDir],
+      };
+    }
+    writeJson(configPath, pkg);
+  }
+
+  return () => fs.writeFileSync(configPath, original, "utf-8");
+}
+
+/**
+ * Make a TS project extend the tsconfig.base.json at the workspace root,
+ * creating it from the project's compiler options if there is none. The
+ * project keeps all of its own options, since anything the base sets that
+ * the project leaves out applies to it too. Returns a function that removes
+ * the base again if it was created here.
+ */
+function shareTsconfig(workspace, projectDir) {
+  const tsconfigPath = path.join(projectDir, "tsconfig.json");
+  if (!fs.existsSync(tsconfigPath)) return null;
+
+  const basePath = path.join(workspace.root, TSCONFIG_BASE_FILE);
+  const tsconfig = readJson(tsconfigPath);
+  const created = !fs.existsSync(basePath);
+
+  if (created) {
+    writeJson(basePath, { compilerOptions: tsconfig.compilerOptions || {} });
+  }
+
+  writeJson(tsconfigPath, {
+    extends: path.relative(projectDir, basePath).split(path.sep).join("/"),
+    ...tsconfig,
+  });
+
+  return created ? () => fs.rmSync(basePath, { force: true }) : null;
+}
+
+/**
+ * What `--workspace` will change, for `--dry-run`
+ */
+function describeWorkspaceChanges(workspace, projectDir, language) {
+  const relativeDir = toWorkspacePath(workspace, projectDir);
+  const steps = [];
+
+  if (
+    workspace.patterns === null ||
+    !isWorkspacePackage(workspace.patterns, relativeDir)
+  ) {
+    steps.push(
+      `Add ${relativeDir} to the workspace in ${workspace.configFile}`,
+    );
+  }
+  if (language === "ts") {
+    steps.push(
+      fs.existsSync(path.join(workspace.root, TSCONFIG_BASE_FILE))
+        ? `Extend the workspace's ${TSCONFIG_BASE_FILE} from tsconfig.json`
+        : `Create ${TSCONFIG_BASE_FILE} at the workspace root from the compiler options and extend it from tsconfig.json`,
+    );
+  }
+  return steps;
+}
+
+module.exports = {
+  PNPM_WORKSPACE_FILE,
+  TSCONFIG_BASE_FILE,
+  findWorkspaceRoot,
+  isWorkspacePackage,
+  addToWorkspace,
+  shareTsconfig,
+  describeWorkspaceChanges,
+};
@@ -11,6 +11,9 @@ export interface SwaggerOptions {
   version?: string;
   description?: string;
   path?: string;
+  // Docs page served at `path` (default: "swagger-ui"). Redoc also serves
+  // the spec as JSON at `${path}.json`.
+  ui?: "swagger-ui" | "redoc";
   servers?: SwaggerServer[];
   // NEW: Auto-register Zod schemas
   schemas?: Record<string, ZodType<any>>;
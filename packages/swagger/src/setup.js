@@ -4,12 +4,46 @@ import fs from "fs";
 import path from "path";
 import { registerSchemas, getCommonResponses } from "./helpers.js";
 
+const DOCS_UIS = ["swagger-ui", "redoc"];
+
+// Pinned so a new Redoc release can't change the docs page under a project
+const REDOC_SCRIPT =
+  "https://cdn.jsdelivr.net/npm/redoc@2.5.4/bundles/redoc.standalone.js";
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+}
+
+// Redoc renders the spec it loads from `specUrl` in the browser
+function getRedocPage(title, specUrl) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+  </head>
+  <body>
+    <redoc spec-url="${escapeHtml(specUrl)}"></redoc>
+    <script src="${REDOC_SCRIPT}"></script>
+  </body>
+</html>`;
+}
+
 export function setupSwagger(app, options = {}) {
   const defaultOptions = {
     title: "Charcole API",
     version: "1.0.1",
     description: "Auto-generated API documentation",
     path: "/api-docs",
+    // "swagger-ui" or "redoc"
+    ui: "swagger-ui",
     servers: [{ url: "http://localhost:3000", description: "Local server" }],
     // NEW: Auto-register Zod schemas
     schemas: {},
@@ -21,6 +55,12 @@ export function setupSwagger(app, options = {}) {
 
   const config = { ...defaultOptions, ...options };
 
+  if (!DOCS_UIS.includes(config.ui)) {
+    throw new Error(
+      `Unknown docs ui "${config.ui}" — use one of: ${DOCS_UIS.join(", ")}`,
+    );
+  }
+
   // Detect if running TypeScript or JavaScript by checking if src directory has .ts files
   const srcPath = path.join(process.cwd(), "src");
   const hasSrcDir = fs.existsSync(srcPath);
@@ -90,10 +130,18 @@ export function setupSwagger(app, options = {}) {
     apis: apiPaths,
   });
 
-  app.use(config.path, swaggerUi.serve, swaggerUi.setup(openApiSpec));
+  if (config.ui === "redoc") {
+    const specPath = `${config.path}.json`;
+    app.get(specPath, (req, res) => res.json(openApiSpec));
+    app.get(config.path, (req, res) =>
+      res.type("html").send(getRedocPage(config.title, specPath)),
+    );
+  } else {
+    app.use(config.path, swaggerUi.serve, swaggerUi.setup(openApiSpec));
+  }
 
   console.log(
-    `✅ Swagger UI available at http://localhost:${process.env.PORT || 3000}${config.path}`,
+    `✅ ${config.ui === "redoc" ? "Redoc" : "Swagger UI"} available at http://localhost:${process.env.PORT || 3000}${config.path}`,
   );
 
   return openApiSpec;
@@ -0,0 +1,7 @@
+import { asyncHandler } from "../../middlewares/errorHandler.js";
+import { AppError } from "../../utils/AppError.js";
+
+// Stubs for the operations in {{source}}. Each one answers 501 until it's
+// written; the validated params, query and body are on req.validatedData.
+
+{{handlers}}
@@ -0,0 +1,14 @@
+import { Router } from "express";
+// @if hasSchemas
+import { validateRequest } from "../../middlewares/validateRequest.js";
+// @endif
+import * as controller from "./{{name}}.controller.js";
+// @if hasSchemas
+{{schemaImport}}
+// @endif
+
+const router = Router();
+
+{{routes}}
+
+export default router;
@@ -0,0 +1,6 @@
+import { z } from "zod";
+
+// The components.schemas of {{source}} as Zod schemas. The Swagger config
+// registers them under their original names, so the docs' $refs resolve.
+
+{{componentSchemas}}
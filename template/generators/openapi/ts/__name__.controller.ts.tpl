@@ -0,0 +1,8 @@
+import { Request, Response } from "express";
+import { asyncHandler } from "../../middlewares/errorHandler.ts";
+import { AppError } from "../../utils/AppError.ts";
+
+// Stubs for the operations in {{source}}. Each one answers 501 until it's
+// written; the validated params, query and body are on req.validatedData.
+
+{{handlers}}
@@ -0,0 +1,14 @@
+import { Router } from "express";
+// @if hasSchemas
+import { validateRequest } from "../../middlewares/validateRequest.ts";
+// @endif
+import * as controller from "./{{name}}.controller.ts";
+// @if hasSchemas
+{{schemaImport}}
+// @endif
+
+const router = Router();
+
+{{routes}}
+
+export default router;
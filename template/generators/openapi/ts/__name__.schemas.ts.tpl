@@ -0,0 +1,9 @@
+import { z } from "zod";
+// @if hasComponents
+{{componentImport}}
+// @endif
+
+// Request schemas for validateRequest, from the parameters and request
+// bodies in {{source}}
+
+{{requestSchemas}}
@@ -0,0 +1,22 @@
+import { z } from "zod";
+
+export const {{camelName}}Schema = z.object({
+{{zodFields}}
+});
+
+const {{camelName}}ParamsSchema = z.object({
+  id: z.string().uuid("id must be a valid UUID"),
+});
+
+export const create{{PascalName}}Schema = z.object({
+  body: {{camelName}}Schema,
+});
+
+export const update{{PascalName}}Schema = z.object({
+  params: {{camelName}}ParamsSchema,
+  body: {{camelName}}Schema.partial(),
+});
+
+export const {{camelName}}IdSchema = z.object({
+  params: {{camelName}}ParamsSchema,
+});
@@ -0,0 +1,28 @@
+import { {{camelName}}Repo } from "../../repositories/{{name}}.repo.js";
+import { NotFoundError } from "../../utils/AppError.js";
+import { {{constName}}_RESOURCE } from "./{{name}}.constants.js";
+
+export async function list{{PascalPlural}}() {
+  return {{camelName}}Repo.findAll();
+}
+
+export async function get{{PascalName}}(id) {
+  const item = await {{camelName}}Repo.findById(id);
+  if (!item) throw new NotFoundError({{constName}}_RESOURCE, { id });
+  return item;
+}
+
+export async function create{{PascalName}}(data) {
+  return {{camelName}}Repo.create(data);
+}
+
+export async function update{{PascalName}}(id, data) {
+  const item = await {{camelName}}Repo.update(id, data);
+  if (!item) throw new NotFoundError({{constName}}_RESOURCE, { id });
+  return item;
+}
+
+export async function delete{{PascalName}}(id) {
+  const deleted = await {{camelName}}Repo.delete(id);
+  if (!deleted) throw new NotFoundError({{constName}}_RESOURCE, { id });
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import express from "express";
+import request from "supertest";
+import {{camelName}}Router from "../{{name}}.routes.js";
+
+function buildTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use("/{{routePath}}", {{camelName}}Router);
+  app.use((err, req, res, next) => {
+    res
+      .status(err.statusCode ?? 500)
+      .json({ success: false, message: err.message, code: err.code });
+  });
+  return app;
+}
+
+const app = buildTestApp();
+const valid{{PascalName}} = {{sampleBody}};
+const missingId = "00000000-0000-4000-8000-000000000000";
+
+async function create{{PascalName}}() {
+  const response = await request(app)
+    .post("/{{routePath}}")
+    .send(valid{{PascalName}});
+  return response.body.data;
+}
+
+describe("{{name}}.routes", () => {
+  describe("POST /{{routePath}}", () => {
+    it("creates {{indefiniteTitle}}", async () => {
+      const response = await request(app)
+        .post("/{{routePath}}")
+        .send(valid{{PascalName}});
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject(valid{{PascalName}});
+      expect(response.body.data.id).toBeDefined();
+    });
+
+    it("returns 422 for an invalid body", async () => {
+      const response = await request(app)
+        .post("/{{routePath}}")
+        .send({{invalidBody}});
+
+      expect(response.status).toBe(422);
+      expect(response.body.code).toBe("VALIDATION_ERROR");
+    });
+  });
+
+  describe("GET /{{routePath}}", () => {
+    it("lists {{lowerTitlePlural}}", async () => {
+      const created = await create{{PascalName}}();
+
+      const response = await request(app).get("/{{routePath}}");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((item) => item.id)).toContain(created.id);
+    });
+  });
+
+  describe("GET /{{routePath}}/:id", () => {
+    it("returns the {{lowerTitle}}", async () => {
+      const created = await create{{PascalName}}();
+
+      const response = await request(app).get(`/{{routePath}}/${created.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.id).toBe(created.id);
+    });
+
+    it("returns 404 for an unknown id", async () => {
+      const response = await request(app).get(`/{{routePath}}/${missingId}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("returns 422 for an id that is not a UUID", async () => {
+      const response = await request(app).get("/{{routePath}}/not-a-uuid");
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe("PATCH /{{routePath}}/:id", () => {
+    it("updates the {{lowerTitle}}", async () => {
+      const created = await create{{PascalName}}();
+
+      const response = await request(app)
+        .patch(`/{{routePath}}/${created.id}`)
+        .send({ {{updateField}}: {{updateValue}} });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.{{updateField}}).toEqual({{updateValue}});
+    });
+
+    it("returns 404 for an unknown id", async () => {
+      const response = await request(app)
+        .patch(`/{{routePath}}/${missingId}`)
+        .send({ {{updateField}}: {{updateValue}} });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /{{routePath}}/:id", () => {
+    it("deletes the {{lowerTitle}}", async () => {
+      const created = await create{{PascalName}}();
+
+      const response = await request(app).delete(
+        `/{{routePath}}/${created.id}`,
+      );
+      expect(response.status).toBe(200);
+
+      const lookup = await request(app).get(`/{{routePath}}/${created.id}`);
+      expect(lookup.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { randomUUID } from "crypto";
+
+const {{camelPlural}} = [];
+
+export const {{camelName}}Repo = {
+  async findAll() {
+    return [...{{camelPlural}}];
+  },
+
+  async findById(id) {
+    return {{camelPlural}}.find((item) => item.id === id);
+  },
+
+  async create(data) {
+    const item = {
+      id: randomUUID(),
+      ...data,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    {{camelPlural}}.push(item);
+    return item;
+  },
+
+  async update(id, data) {
+    const item = {{camelPlural}}.find((existing) => existing.id === id);
+    if (!item) return undefined;
+
+    Object.assign(item, data, { updatedAt: new Date() });
+    return item;
+  },
+
+  async delete(id) {
+    const index = {{camelPlural}}.findIndex((item) => item.id === id);
+    if (index === -1) return false;
+
+    {{camelPlural}}.splice(index, 1);
+    return true;
+  },
+};
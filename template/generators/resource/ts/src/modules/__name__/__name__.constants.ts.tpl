@@ -0,0 +1,7 @@
+export const {{constName}}_RESOURCE = "{{title}}";
+
+export const {{constName}}_MESSAGES = {
+  CREATED: "{{title}} created",
+  UPDATED: "{{title}} updated",
+  DELETED: "{{title}} deleted",
+};
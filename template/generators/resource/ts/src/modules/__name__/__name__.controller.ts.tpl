@@ -0,0 +1,44 @@
+import { Request, Response } from "express";
+import * as {{camelName}}Service from "./{{name}}.service.ts";
+import { sendSuccess } from "../../utils/response.ts";
+import { asyncHandler } from "../../middlewares/errorHandler.ts";
+import { {{constName}}_MESSAGES } from "./{{name}}.constants.ts";
+
+export const list{{PascalPlural}} = asyncHandler(
+  async (req: Request, res: Response) => {
+    const items = await {{camelName}}Service.list{{PascalPlural}}();
+    sendSuccess(res, items);
+  },
+);
+
+export const get{{PascalName}} = asyncHandler(
+  async (req: Request, res: Response) => {
+    const { params } = req.validatedData!;
+    const item = await {{camelName}}Service.get{{PascalName}}(params.id);
+    sendSuccess(res, item);
+  },
+);
+
+export const create{{PascalName}} = asyncHandler(
+  async (req: Request, res: Response) => {
+    const { body } = req.validatedData!;
+    const item = await {{camelName}}Service.create{{PascalName}}(body);
+    sendSuccess(res, item, 201, {{constName}}_MESSAGES.CREATED);
+  },
+);
+
+export const update{{PascalName}} = asyncHandler(
+  async (req: Request, res: Response) => {
+    const { params, body } = req.validatedData!;
+    const item = await {{camelName}}Service.update{{PascalName}}(params.id, body);
+    sendSuccess(res, item, 200, {{constName}}_MESSAGES.UPDATED);
+  },
+);
+
+export const delete{{PascalName}} = asyncHandler(
+  async (req: Request, res: Response) => {
+    const { params } = req.validatedData!;
+    await {{camelName}}Service.delete{{PascalName}}(params.id);
+    sendSuccess(res, null, 200, {{constName}}_MESSAGES.DELETED);
+  },
+);
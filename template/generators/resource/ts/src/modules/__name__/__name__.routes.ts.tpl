@@ -0,0 +1,107 @@
+import { Router } from "express";
+import { validateRequest } from "../../middlewares/validateRequest.ts";
+import * as controller from "./{{name}}.controller.ts";
+import {
+  create{{PascalName}}Schema,
+  update{{PascalName}}Schema,
+  {{camelName}}IdSchema,
+} from "./{{name}}.schemas.ts";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/{{routePath}}:
+ *   get:
+ *     summary: List {{lowerTitlePlural}}
+ *     tags:
+ *       - {{tag}}
+ *     responses:
+ *       200:
+ *         description: All {{lowerTitlePlural}}
+ *   post:
+ *     summary: Create {{indefiniteTitle}}
+ *     tags:
+ *       - {{tag}}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/create{{PascalName}}Schema'
+ *     responses:
+ *       201:
+ *         description: {{title}} created
+ *       422:
+ *         description: Validation error
+ */
+router.get("/", controller.list{{PascalPlural}});
+router.post(
+  "/",
+  validateRequest(create{{PascalName}}Schema),
+  controller.create{{PascalName}},
+);
+
+/**
+ * @swagger
+ * /api/{{routePath}}/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   get:
+ *     summary: Get {{indefiniteTitle}}
+ *     tags:
+ *       - {{tag}}
+ *     responses:
+ *       200:
+ *         description: The {{lowerTitle}}
+ *       404:
+ *         description: {{title}} not found
+ *   patch:
+ *     summary: Update {{indefiniteTitle}}
+ *     tags:
+ *       - {{tag}}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/update{{PascalName}}Schema'
+ *     responses:
+ *       200:
+ *         description: {{title}} updated
+ *       404:
+ *         description: {{title}} not found
+ *       422:
+ *         description: Validation error
+ *   delete:
+ *     summary: Delete {{indefiniteTitle}}
+ *     tags:
+ *       - {{tag}}
+ *     responses:
+ *       200:
+ *         description: {{title}} deleted
+ *       404:
+ *         description: {{title}} not found
+ */
+router.get(
+  "/:id",
+  validateRequest({{camelName}}IdSchema),
+  controller.get{{PascalName}},
+);
+router.patch(
+  "/:id",
+  validateRequest(update{{PascalName}}Schema),
+  controller.update{{PascalName}},
+);
+router.delete(
+  "/:id",
+  validateRequest({{camelName}}IdSchema),
+  controller.delete{{PascalName}},
+);
+
+export default router;
@@ -0,0 +1,31 @@
+import { z } from "zod";
+
+export const {{camelName}}Schema = z.object({
+{{zodFields}}
+});
+
+const {{camelName}}ParamsSchema = z.object({
+  id: z.string().uuid("id must be a valid UUID"),
+});
+
+export const create{{PascalName}}Schema = z.object({
+  body: {{camelName}}Schema,
+});
+
+export const update{{PascalName}}Schema = z.object({
+  params: {{camelName}}ParamsSchema,
+  body: {{camelName}}Schema.partial(),
+});
+
+export const {{camelName}}IdSchema = z.object({
+  params: {{camelName}}ParamsSchema,
+});
+
+export type Create{{PascalName}}Input = z.infer<typeof {{camelName}}Schema>;
+export type Update{{PascalName}}Input = Partial<Create{{PascalName}}Input>;
+
+export type {{PascalName}} = Create{{PascalName}}Input & {
+  id: string;
+  createdAt: Date;
+  updatedAt: Date;
+};
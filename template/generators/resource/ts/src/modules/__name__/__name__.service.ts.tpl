@@ -0,0 +1,38 @@
+import { {{camelName}}Repo } from "../../repositories/{{name}}.repo.ts";
+import { NotFoundError } from "../../utils/AppError.ts";
+import { {{constName}}_RESOURCE } from "./{{name}}.constants.ts";
+import type {
+  {{PascalName}},
+  Create{{PascalName}}Input,
+  Update{{PascalName}}Input,
+} from "./{{name}}.schemas.ts";
+
+export async function list{{PascalPlural}}(): Promise<{{PascalName}}[]> {
+  return {{camelName}}Repo.findAll();
+}
+
+export async function get{{PascalName}}(id: string): Promise<{{PascalName}}> {
+  const item = await {{camelName}}Repo.findById(id);
+  if (!item) throw new NotFoundError({{constName}}_RESOURCE, { id });
+  return item;
+}
+
+export async function create{{PascalName}}(
+  data: Create{{PascalName}}Input,
+): Promise<{{PascalName}}> {
+  return {{camelName}}Repo.create(data);
+}
+
+export async function update{{PascalName}}(
+  id: string,
+  data: Update{{PascalName}}Input,
+): Promise<{{PascalName}}> {
+  const item = await {{camelName}}Repo.update(id, data);
+  if (!item) throw new NotFoundError({{constName}}_RESOURCE, { id });
+  return item;
+}
+
+export async function delete{{PascalName}}(id: string): Promise<void> {
+  const deleted = await {{camelName}}Repo.delete(id);
+  if (!deleted) throw new NotFoundError({{constName}}_RESOURCE, { id });
+}
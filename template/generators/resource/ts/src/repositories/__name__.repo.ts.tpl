@@ -0,0 +1,48 @@
+import { randomUUID } from "crypto";
+import type {
+  {{PascalName}},
+  Create{{PascalName}}Input,
+  Update{{PascalName}}Input,
+} from "../modules/{{name}}/{{name}}.schemas.ts";
+
+const {{camelPlural}}: {{PascalName}}[] = [];
+
+export const {{camelName}}Repo = {
+  async findAll(): Promise<{{PascalName}}[]> {
+    return [...{{camelPlural}}];
+  },
+
+  async findById(id: string): Promise<{{PascalName}} | undefined> {
+    return {{camelPlural}}.find((item) => item.id === id);
+  },
+
+  async create(data: Create{{PascalName}}Input): Promise<{{PascalName}}> {
+    const item: {{PascalName}} = {
+      id: randomUUID(),
+      ...data,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    {{camelPlural}}.push(item);
+    return item;
+  },
+
+  async update(
+    id: string,
+    data: Update{{PascalName}}Input,
+  ): Promise<{{PascalName}} | undefined> {
+    const item = {{camelPlural}}.find((existing) => existing.id === id);
+    if (!item) return undefined;
+
+    Object.assign(item, data, { updatedAt: new Date() });
+    return item;
+  },
+
+  async delete(id: string): Promise<boolean> {
+    const index = {{camelPlural}}.findIndex((item) => item.id === id);
+    if (index === -1) return false;
+
+    {{camelPlural}}.splice(index, 1);
+    return true;
+  },
+};
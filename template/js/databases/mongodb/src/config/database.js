@@ -0,0 +1,38 @@
+import { MongoClient } from "mongodb";
+import { env } from "./env.js";
+import { logger } from "../utils/logger.js";
+
+let connection = null;
+
+const open = async () => {
+  const client = new MongoClient(env.DATABASE_URL);
+  await client.connect();
+
+  // Uses the database named in DATABASE_URL
+  const db = client.db();
+  await db.collection("users").createIndex({ email: 1 }, { unique: true });
+
+  logger.info("Connected to MongoDB", { database: db.databaseName });
+  return { client, db };
+};
+
+/**
+ * The shared client and database. Connects and creates indexes on first use;
+ * repositories call this instead of holding their own connection.
+ */
+export const connectDatabase = () => {
+  if (!connection) {
+    connection = open().catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+};
+
+export const disconnectDatabase = async () => {
+  if (!connection) return;
+  const { client } = await connection;
+  connection = null;
+  await client.close();
+};
@@ -0,0 +1,35 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.js";
+
+// Users are stored with the uuid as `_id` so ids look the same on every database
+const toUser = ({ _id, ...doc }) => ({ id: _id, ...doc });
+
+const users = async () => {
+  const { db } = await connectDatabase();
+  return db.collection("users");
+};
+
+export const userRepo = {
+  async findByEmail(email) {
+    const doc = await (await users()).findOne({ email });
+    return doc ? toUser(doc) : null;
+  },
+
+  async create(data) {
+    const now = new Date();
+    const doc = {
+      _id: randomUUID(),
+      email: data.email,
+      name: data.name,
+      passwordHash: data.passwordHash,
+      role: data.role,
+      provider: "credentials",
+      isEmailVerified: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await (await users()).insertOne(doc);
+    return toUser(doc);
+  },
+};
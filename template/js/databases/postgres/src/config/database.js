@@ -0,0 +1,52 @@
+import pg from "pg";
+import { env } from "./env.js";
+import { logger } from "../utils/logger.js";
+
+let connection = null;
+
+const open = async () => {
+  const pool = new pg.Pool({ connectionString: env.DATABASE_URL });
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        password_hash TEXT,
+        role TEXT NOT NULL DEFAULT 'user',
+        provider TEXT NOT NULL DEFAULT 'credentials',
+        is_email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  } catch (error) {
+    await pool.end();
+    throw error;
+  }
+
+  logger.info("Connected to PostgreSQL");
+  return pool;
+};
+
+/**
+ * The shared connection pool. Connects and creates the tables on first use;
+ * repositories call this instead of holding their own connection.
+ */
+export const connectDatabase = () => {
+  if (!connection) {
+    connection = open().catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+};
+
+export const disconnectDatabase = async () => {
+  if (!connection) return;
+  const pool = await connection;
+  connection = null;
+  await pool.end();
+};
@@ -0,0 +1,35 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.js";
+
+const toUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  passwordHash: row.password_hash ?? undefined,
+  role: row.role,
+  provider: row.provider,
+  isEmailVerified: row.is_email_verified,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export const userRepo = {
+  async findByEmail(email) {
+    const pool = await connectDatabase();
+    const { rows } = await pool.query("SELECT * FROM users WHERE email = $1", [
+      email,
+    ]);
+    return rows[0] ? toUser(rows[0]) : null;
+  },
+
+  async create(data) {
+    const pool = await connectDatabase();
+    const { rows } = await pool.query(
+      `INSERT INTO users (id, email, name, password_hash, role)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [randomUUID(), data.email, data.name, data.passwordHash, data.role],
+    );
+    return toUser(rows[0]);
+  },
+};
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { env } from "./env.js";
+import { logger } from "../utils/logger.js";
+
+let connection = null;
+
+const open = async () => {
+  fs.mkdirSync(path.dirname(env.DATABASE_URL), { recursive: true });
+
+  const db = new Database(env.DATABASE_URL);
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      password_hash TEXT,
+      role TEXT NOT NULL DEFAULT 'user',
+      provider TEXT NOT NULL DEFAULT 'credentials',
+      is_email_verified INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  logger.info("Connected to SQLite", { file: env.DATABASE_URL });
+  return db;
+};
+
+/**
+ * The shared database handle. Opens the file and creates the tables on first
+ * use; repositories call this instead of holding their own connection.
+ */
+export const connectDatabase = () => {
+  if (!connection) {
+    connection = open().catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+};
+
+export const disconnectDatabase = async () => {
+  if (!connection) return;
+  const db = await connection;
+  connection = null;
+  db.close();
+};
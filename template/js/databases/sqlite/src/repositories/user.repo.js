@@ -0,0 +1,45 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.js";
+
+const toUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  passwordHash: row.password_hash ?? undefined,
+  role: row.role,
+  provider: row.provider,
+  isEmailVerified: Boolean(row.is_email_verified),
+  createdAt: new Date(row.created_at),
+  updatedAt: new Date(row.updated_at),
+});
+
+export const userRepo = {
+  async findByEmail(email) {
+    const db = await connectDatabase();
+    const row = db.prepare("SELECT * FROM users WHERE email = ?").get(email);
+    return row ? toUser(row) : null;
+  },
+
+  async create(data) {
+    const db = await connectDatabase();
+    const now = new Date().toISOString();
+    const row = {
+      id: randomUUID(),
+      email: data.email,
+      name: data.name,
+      password_hash: data.passwordHash,
+      role: data.role,
+      provider: "credentials",
+      is_email_verified: 0,
+      created_at: now,
+      updated_at: now,
+    };
+
+    db.prepare(
+      `INSERT INTO users (id, email, name, password_hash, role, provider, is_email_verified, created_at, updated_at)
+       VALUES (@id, @email, @name, @password_hash, @role, @provider, @is_email_verified, @created_at, @updated_at)`,
+    ).run(row);
+
+    return toUser(row);
+  },
+};
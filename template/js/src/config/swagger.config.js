@@ -1,8 +1,10 @@
 export default {
-  title: process.env.APP_NAME || "Charcole API",
-  version: process.env.APP_VERSION || "1.0.1",
+  title: process.env.APP_NAME || "{{projectName}}",
+  version: process.env.APP_VERSION || "{{appVersion}}",
   description: "Production-ready Node.js Express API",
-  path: "/api-docs",
+  path: "{{swaggerPath}}",
+  // "swagger-ui" or "redoc"
+  ui: "{{swaggerUi}}",
   servers: [
     {
       url: process.env.API_URL || "http://localhost:3000",
@@ -4,7 +4,7 @@ import { ValidationError } from "../utils/AppError.js";
  * Request validation middleware
  *
  * Validates request body, query, and params against a Zod schema
- * Throws ValidationError if validation fails
+ * Passes a ValidationError to the error handler if validation fails
  *
  * Example:
  * const schema = z.object({
@@ -34,7 +34,7 @@ export const validateRequest = (schema) => {
           message: e.message,
           code: e.code,
         }));
-        throw new ValidationError("Request validation failed", errors);
+        return next(new ValidationError("Request validation failed", errors));
       }
       next(error);
     }
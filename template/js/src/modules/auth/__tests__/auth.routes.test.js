@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, beforeEach } from "vitest";
+import { randomUUID } from "crypto";
+import request from "supertest";
+import { app } from "../../../app.js";
+
+/**
+ * An in-memory stand-in for the project's userRepo, so these tests run the
+ * same whichever database the project uses
+ */
+function createTestUserRepo() {
+  const users = [];
+
+  return {
+    async findByEmail(email) {
+      return users.find((user) => user.email === email) ?? null;
+    },
+
+    async create(data) {
+      const user = {
+        id: randomUUID(),
+        role: "user",
+        provider: "credentials",
+        isEmailVerified: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...data,
+      };
+      users.push(user);
+      return user;
+    },
+  };
+}
+
+const credentials = {
+  name: "Test User",
+  email: "test@example.com",
+  password: "password123",
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET ??= "test-jwt-secret";
+});
+
+beforeEach(() => {
+  app.locals.userRepo = createTestUserRepo();
+});
+
+describe("POST /api/auth/register", () => {
+  it("creates a user", async () => {
+    const response = await request(app)
+      .post("/api/auth/register")
+      .send(credentials);
+
+    expect(response.status).toBe(201);
+    expect(response.body.user).toMatchObject({
+      email: credentials.email,
+      name: credentials.name,
+    });
+  });
+
+  it("rejects an email that is already registered", async () => {
+    await request(app).post("/api/auth/register").send(credentials);
+    const response = await request(app)
+      .post("/api/auth/register")
+      .send(credentials);
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("returns a token for valid credentials", async () => {
+    await request(app).post("/api/auth/register").send(credentials);
+    const response = await request(app).post("/api/auth/login").send({
+      email: credentials.email,
+      password: credentials.password,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toEqual(expect.any(String));
+  });
+
+  it("rejects a wrong password", async () => {
+    await request(app).post("/api/auth/register").send(credentials);
+    const response = await request(app).post("/api/auth/login").send({
+      email: credentials.email,
+      password: "wrong-password",
+    });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("GET /api/protected/me", () => {
+  it("returns the user for a valid token", async () => {
+    await request(app).post("/api/auth/register").send(credentials);
+    const login = await request(app).post("/api/auth/login").send({
+      email: credentials.email,
+      password: credentials.password,
+    });
+
+    const response = await request(app)
+      .get("/api/protected/me")
+      .set("Authorization", `Bearer ${login.body.token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.email).toBe(credentials.email);
+  });
+
+  it("rejects a request without a token", async () => {
+    const response = await request(app).get("/api/protected/me");
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -1,3 +1,5 @@
-export const USER_ROLES = ["user", "admin"];
+// Picked when the project was created — new users get the first role
+export const USER_ROLES = ["{{userRoles}}"];
+export const DEFAULT_USER_ROLE = USER_ROLES[0];
 
 export const AUTH_PROVIDERS = ["credentials"];
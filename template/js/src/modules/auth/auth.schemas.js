@@ -1,5 +1,9 @@
 import { z } from "zod";
-import { USER_ROLES, AUTH_PROVIDERS } from "./auth.constants.js";
+import {
+  USER_ROLES,
+  DEFAULT_USER_ROLE,
+  AUTH_PROVIDERS,
+} from "./auth.constants.js";
 
 export const emailSchema = z
   .string()
@@ -15,7 +19,7 @@ export const userSchema = z.object({
   id: z.string().uuid(),
   email: emailSchema,
   name: z.string().min(1).max(100),
-  role: z.enum(USER_ROLES).default("user"),
+  role: z.enum(USER_ROLES).default(DEFAULT_USER_ROLE),
   provider: z.enum(AUTH_PROVIDERS).default("credentials"),
 
   passwordHash: z.string().optional(), // credentials only
@@ -1,9 +1,11 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { registerSchema, loginSchema } from "./auth.schemas.js";
+import { DEFAULT_USER_ROLE } from "./auth.constants.js";
 
 const SALT_ROUNDS = 10;
-const JWT_EXPIRES_IN = "7d";
+// Used when JWT_EXPIRES_IN isn't set in .env
+const JWT_EXPIRES_IN = "{{jwtExpiresIn}}";
 
 export const AuthService = {
   async hashPassword(password) {
@@ -16,7 +18,7 @@ export const AuthService = {
 
   signToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN,
+      expiresIn: process.env.JWT_EXPIRES_IN || JWT_EXPIRES_IN,
     });
   },
 
@@ -34,6 +36,7 @@ export const AuthService = {
       email: input.email,
       name: input.name,
       passwordHash,
+      role: DEFAULT_USER_ROLE,
     });
 
     return user;
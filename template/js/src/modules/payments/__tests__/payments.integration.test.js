@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { app } from "../../../app.js";
+
+// The whole app runs for real; only the provider adapter is replaced
+const adapter = vi.hoisted(() => ({
+  createPayment: vi.fn(),
+  refundPayment: vi.fn(),
+  getPaymentStatus: vi.fn(),
+  verifyWebhook: vi.fn(),
+}));
+
+vi.mock("../payments.adapter.js", () => ({
+  getAdapter: () => adapter,
+  resetAdapter: vi.fn(),
+}));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  process.env.PAYMENT_PROVIDER = "stripe";
+});
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROVIDER;
+});
+
+describe("payments through the app", () => {
+  it("creates a payment intent", async () => {
+    adapter.createPayment.mockResolvedValue({
+      id: "pi_test",
+      clientSecret: "secret_abc",
+      status: "requires_payment_method",
+      amount: 999,
+      currency: "usd",
+    });
+
+    const response = await request(app)
+      .post("/api{{paymentsPath}}/create-intent")
+      .send({ amount: 999, currency: "usd" });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.id).toBe("pi_test");
+    expect(adapter.createPayment).toHaveBeenCalledWith({
+      amount: 999,
+      currency: "usd",
+      metadata: {},
+    });
+  });
+
+  it("rejects an invalid amount before reaching the provider", async () => {
+    const response = await request(app)
+      .post("/api{{paymentsPath}}/create-intent")
+      .send({ amount: -1, currency: "usd" });
+
+    expect(response.status).toBe(400);
+    expect(adapter.createPayment).not.toHaveBeenCalled();
+  });
+
+  it("returns a payment's status", async () => {
+    adapter.getPaymentStatus.mockResolvedValue({
+      id: "pi_test",
+      status: "succeeded",
+    });
+
+    const response = await request(app).get("/api{{paymentsPath}}/status/pi_test");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe("succeeded");
+  });
+
+  it("passes the raw webhook body to the adapter", async () => {
+    adapter.verifyWebhook.mockResolvedValue({
+      event: "payment_intent.succeeded",
+      data: { id: "evt_integration_1" },
+    });
+    const payload = JSON.stringify({ type: "payment_intent.succeeded" });
+
+    const response = await request(app)
+      .post("/api{{paymentsPath}}/webhook")
+      .set("Content-Type", "application/json")
+      .set("stripe-signature", "t=1,v1=abc")
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body.received).toBe(true);
+    const [rawBody] = adapter.verifyWebhook.mock.calls[0];
+    expect(Buffer.isBuffer(rawBody)).toBe(true);
+    expect(rawBody.toString()).toBe(payload);
+  });
+
+  it("rejects a webhook without a signature", async () => {
+    const response = await request(app)
+      .post("/api{{paymentsPath}}/webhook")
+      .set("Content-Type", "application/json")
+      .send("{}");
+
+    expect(response.status).toBe(400);
+    expect(adapter.verifyWebhook).not.toHaveBeenCalled();
+  });
+});
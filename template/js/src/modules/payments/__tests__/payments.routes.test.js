@@ -206,7 +206,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_001"}'))
+        .send('{"id":"evt_test_001"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
@@ -223,7 +223,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_002"}'))
+        .send('{"id":"evt_test_002"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
@@ -234,7 +234,7 @@ describe('payments.routes', () => {
       const response = await request(app)
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
-        .send(Buffer.from('{"id":"evt_test_003"}'))
+        .send('{"id":"evt_test_003"}')
 
       expect(response.status).toBe(400)
       expect(response.body.error).toBe('Missing webhook signature header')
@@ -247,7 +247,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_004"}'))
+        .send('{"id":"evt_test_004"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
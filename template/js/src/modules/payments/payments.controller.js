@@ -6,10 +6,26 @@ import {
 } from "./payments.schemas.js";
 import { WEBHOOK_HEADERS, PAYMENT_EVENTS } from "./payments.constants.js";
 import { logger } from "../../utils/logger.js";
+import { BadRequestError } from "../../utils/AppError.js";
+
+// An invalid body is the client's mistake: answer 400 with the Zod issues
+const parseBody = (schema, body) => {
+  const result = schema.safeParse(body);
+  if (!result.success) {
+    const errors = result.error.errors.map((e) => ({
+      field: e.path.join("."),
+      message: e.message,
+    }));
+    throw new BadRequestError(errors.map((e) => e.message).join(", "), {
+      errors,
+    });
+  }
+  return result.data;
+};
 
 export const createPayment = async (req, res, next) => {
   try {
-    const validated = createPaymentSchema.parse(req.body);
+    const validated = parseBody(createPaymentSchema, req.body);
     const result = await paymentsService.createPayment(validated);
     sendSuccess(res, result, 201);
   } catch (err) {
@@ -19,7 +35,7 @@ export const createPayment = async (req, res, next) => {
 
 export const refundPayment = async (req, res, next) => {
   try {
-    const validated = refundPaymentSchema.parse(req.body);
+    const validated = parseBody(refundPaymentSchema, req.body);
     const result = await paymentsService.refundPayment(validated);
     sendSuccess(res, result);
   } catch (err) {
@@ -1,16 +1,11 @@
 import { Router } from "express";
-import { validateRequest } from "../../middlewares/validateRequest.js";
 import * as controller from "./payments.controller.js";
-import {
-  createPaymentSchema,
-  refundPaymentSchema,
-} from "./payments.schemas.js";
 
 const router = Router();
 
 /**
  * @swagger
- * /api/payments/create-intent:
+ * /api{{paymentsPath}}/create-intent:
  *   post:
  *     summary: Create a payment intent or checkout session
  *     tags:
@@ -21,7 +16,7 @@ const router = Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required: [amount, currency]
+ *             required: [amount]
  *             properties:
  *               amount:
  *                 type: integer
@@ -29,7 +24,7 @@ const router = Router();
  *                 example: 2999
  *               currency:
  *                 type: string
- *                 description: ISO 4217 currency code
+ *                 description: ISO 4217 currency code (defaults to PAYMENT_CURRENCY)
  *                 example: usd
  *               metadata:
  *                 type: object
@@ -40,15 +35,11 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post(
-  "/create-intent",
-  validateRequest(createPaymentSchema),
-  controller.createPayment,
-);
+router.post("/create-intent", controller.createPayment);
 
 /**
  * @swagger
- * /api/payments/refund:
+ * /api{{paymentsPath}}/refund:
  *   post:
  *     summary: Refund a payment
  *     tags:
@@ -74,15 +65,11 @@ router.post(
  *       400:
  *         description: Validation error
  */
-router.post(
-  "/refund",
-  validateRequest(refundPaymentSchema),
-  controller.refundPayment,
-);
+router.post("/refund", controller.refundPayment);
 
 /**
  * @swagger
- * /api/payments/status/{paymentId}:
+ * /api{{paymentsPath}}/status/{paymentId}:
  *   get:
  *     summary: Get payment status
  *     tags:
@@ -103,7 +90,7 @@ router.get("/status/:paymentId", controller.getPaymentStatus);
 
 /**
  * @swagger
- * /api/payments/webhook:
+ * /api{{paymentsPath}}/webhook:
  *   post:
  *     summary: Receive payment provider webhook events
  *     tags:
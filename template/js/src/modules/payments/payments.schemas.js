@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { env } from "../../config/env.js";
 
 export const createPaymentSchema = z.object({
   amount: z
@@ -7,10 +8,12 @@ export const createPaymentSchema = z.object({
     .positive("amount must be positive")
     .max(99999999, "amount exceeds maximum"),
 
+  // Requests without a currency use PAYMENT_CURRENCY
   currency: z
-    .string({ required_error: "currency is required" })
+    .string()
     .length(3, "currency must be a 3-letter ISO 4217 code (e.g. usd, pkr)")
-    .toLowerCase(),
+    .toLowerCase()
+    .default(env.PAYMENT_CURRENCY),
 
   metadata: z.record(z.string()).optional().default({}),
 });
@@ -1,11 +1,22 @@
-import "dotenv/config";
+import "./config/loadEnv.js";
 
 import { app } from "./app.js";
 import { env } from "./config/env.js";
 import { logger } from "./utils/logger.js";
+// @if !memory
+import { connectDatabase, disconnectDatabase } from "./config/database.js";
+// @endif
 
 const PORT = env.PORT;
 
+// @if !memory
+// Repositories wait for this connection; startup fails if the database is unreachable
+connectDatabase().catch((error) => {
+  logger.error("Database connection failed", { error: error.message });
+  process.exit(1);
+});
+
+// @endif
 const server = app.listen(PORT, () => {
   logger.info(`🔥 Server running in ${env.NODE_ENV} mode`, {
     url: `http://localhost:${PORT}`,
@@ -18,7 +29,11 @@ const gracefulShutdown = (signal) => {
   logger.warn(`${signal} signal received: closing HTTP server`);
   server.close(() => {
     logger.info("HTTP server closed");
+    // @if !memory
+    disconnectDatabase().finally(() => process.exit(0));
+    // @else
     process.exit(0);
+    // @endif
   });
 };
 
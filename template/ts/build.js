@@ -3,7 +3,10 @@ import { glob } from "glob";
 import fs from "fs";
 import path from "path";
 
-const entryPoints = await glob("src/**/*.ts");
+// Tests run from source with vitest and stay out of dist/
+const entryPoints = await glob("src/**/*.ts", {
+  ignore: ["src/**/__tests__/**", "src/**/*.test.ts"],
+});
 
 // Custom plugin to rewrite .ts imports to .js
 const rewriteImportsPlugin = {
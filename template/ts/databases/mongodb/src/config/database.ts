@@ -0,0 +1,40 @@
+import { MongoClient, type Db } from "mongodb";
+import { env } from "./env.ts";
+import { logger } from "../utils/logger.ts";
+
+type Connection = { client: MongoClient; db: Db };
+
+let connection: Promise<Connection> | null = null;
+
+const open = async (): Promise<Connection> => {
+  const client = new MongoClient(env.DATABASE_URL);
+  await client.connect();
+
+  // Uses the database named in DATABASE_URL
+  const db = client.db();
+  await db.collection("users").createIndex({ email: 1 }, { unique: true });
+
+  logger.info("Connected to MongoDB", { database: db.databaseName });
+  return { client, db };
+};
+
+/**
+ * The shared client and database. Connects and creates indexes on first use;
+ * repositories call this instead of holding their own connection.
+ */
+export const connectDatabase = (): Promise<Connection> => {
+  if (!connection) {
+    connection = open().catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+};
+
+export const disconnectDatabase = async (): Promise<void> => {
+  if (!connection) return;
+  const { client } = await connection;
+  connection = null;
+  await client.close();
+};
@@ -0,0 +1,61 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.ts";
+// @if auth
+import type { User } from "../modules/auth/auth.schemas.ts";
+// @else
+
+type User = {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  provider: string;
+  passwordHash?: string;
+  isEmailVerified: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+};
+// @endif
+
+type CreateUserData = {
+  email: string;
+  name: string;
+  passwordHash: string;
+  role: string;
+};
+
+// Users are stored with the uuid as `_id` so ids look the same on every database
+type UserDocument = Omit<User, "id"> & { _id: string };
+
+const toUser = ({ _id, ...doc }: UserDocument): User =>
+  ({ id: _id, ...doc }) as User;
+
+const users = async () => {
+  const { db } = await connectDatabase();
+  return db.collection<UserDocument>("users");
+};
+
+export const userRepo = {
+  async findByEmail(email: string): Promise<User | null> {
+    const doc = await (await users()).findOne({ email });
+    return doc ? toUser(doc) : null;
+  },
+
+  async create(data: CreateUserData): Promise<User> {
+    const now = new Date();
+    const doc = {
+      _id: randomUUID(),
+      email: data.email,
+      name: data.name,
+      passwordHash: data.passwordHash,
+      role: data.role,
+      provider: "credentials",
+      isEmailVerified: false,
+      createdAt: now,
+      updatedAt: now,
+    } as UserDocument;
+
+    await (await users()).insertOne(doc);
+    return toUser(doc);
+  },
+};
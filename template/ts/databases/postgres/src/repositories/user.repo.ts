@@ -0,0 +1,72 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.ts";
+// @if auth
+import type { User } from "../modules/auth/auth.schemas.ts";
+// @else
+
+type User = {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  provider: string;
+  passwordHash?: string;
+  isEmailVerified: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+};
+// @endif
+
+type CreateUserData = {
+  email: string;
+  name: string;
+  passwordHash: string;
+  role: string;
+};
+
+type UserRow = {
+  id: string;
+  email: string;
+  name: string;
+  password_hash: string | null;
+  role: string;
+  provider: string;
+  is_email_verified: boolean;
+  created_at: Date;
+  updated_at: Date;
+};
+
+const toUser = (row: UserRow): User =>
+  ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    passwordHash: row.password_hash ?? undefined,
+    role: row.role,
+    provider: row.provider,
+    isEmailVerified: row.is_email_verified,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }) as User;
+
+export const userRepo = {
+  async findByEmail(email: string): Promise<User | null> {
+    const pool = await connectDatabase();
+    const { rows } = await pool.query<UserRow>(
+      "SELECT * FROM users WHERE email = $1",
+      [email],
+    );
+    return rows[0] ? toUser(rows[0]) : null;
+  },
+
+  async create(data: CreateUserData): Promise<User> {
+    const pool = await connectDatabase();
+    const { rows } = await pool.query<UserRow>(
+      `INSERT INTO users (id, email, name, password_hash, role)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [randomUUID(), data.email, data.name, data.passwordHash, data.role],
+    );
+    return toUser(rows[0]);
+  },
+};
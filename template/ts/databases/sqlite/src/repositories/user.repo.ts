@@ -0,0 +1,82 @@
+import { randomUUID } from "crypto";
+import { connectDatabase } from "../config/database.ts";
+// @if auth
+import type { User } from "../modules/auth/auth.schemas.ts";
+// @else
+
+type User = {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  provider: string;
+  passwordHash?: string;
+  isEmailVerified: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+};
+// @endif
+
+type CreateUserData = {
+  email: string;
+  name: string;
+  passwordHash: string;
+  role: string;
+};
+
+type UserRow = {
+  id: string;
+  email: string;
+  name: string;
+  password_hash: string | null;
+  role: string;
+  provider: string;
+  is_email_verified: number;
+  created_at: string;
+  updated_at: string;
+};
+
+const toUser = (row: UserRow): User =>
+  ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    passwordHash: row.password_hash ?? undefined,
+    role: row.role,
+    provider: row.provider,
+    isEmailVerified: Boolean(row.is_email_verified),
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at),
+  }) as User;
+
+export const userRepo = {
+  async findByEmail(email: string): Promise<User | null> {
+    const db = await connectDatabase();
+    const row = db.prepare("SELECT * FROM users WHERE email = ?").get(email) as
+      UserRow | undefined;
+    return row ? toUser(row) : null;
+  },
+
+  async create(data: CreateUserData): Promise<User> {
+    const db = await connectDatabase();
+    const now = new Date().toISOString();
+    const row: UserRow = {
+      id: randomUUID(),
+      email: data.email,
+      name: data.name,
+      password_hash: data.passwordHash,
+      role: data.role,
+      provider: "credentials",
+      is_email_verified: 0,
+      created_at: now,
+      updated_at: now,
+    };
+
+    db.prepare(
+      `INSERT INTO users (id, email, name, password_hash, role, provider, is_email_verified, created_at, updated_at)
+       VALUES (@id, @email, @name, @password_hash, @role, @provider, @is_email_verified, @created_at, @updated_at)`,
+    ).run(row);
+
+    return toUser(row);
+  },
+};
@@ -1,7 +1,4 @@
 import express, { Request, Response, NextFunction } from "express";
-import { existsSync } from "fs";
-import { dirname, join } from "path";
-import { fileURLToPath } from "url";
 import cors from "cors";
 import { userRepo } from "./repositories/user.repo.ts";
 import { env } from "./config/env.ts";
@@ -14,14 +11,6 @@ import {
 import { sendSuccess } from "./utils/response.ts";
 import { logger } from "./utils/logger.ts";
 import routes from "./routes/index.ts";
-import swaggerOptions from "./config/swagger.config.ts";
-import { setupSwagger } from "@charcoles/swagger";
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const paymentsModulePath = join(
-  __dirname,
-  "modules/payments/payments.routes.ts",
-);
 
 export const app = express();
 
@@ -36,10 +25,6 @@ app.use(
   }),
 );
 
-if (existsSync(paymentsModulePath)) {
-  app.use("/payments/webhook", express.raw({ type: "application/json" }));
-}
-
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -51,8 +36,6 @@ app.use((req: Request, res: Response, next: NextFunction) => {
 
 app.use(requestLogger);
 
-setupSwagger(app, swaggerOptions);
-
 app.use("/api", routes);
 
 app.get(
@@ -62,7 +45,7 @@ app.get(
       res,
       {
         message: "Welcome to Charcole API",
-        version: "2.0.0",
+        version: "{{appVersion}}",
         environment: env.NODE_ENV,
       },
       200,
@@ -8,7 +8,18 @@ const envSchema = z.object({
   LOG_LEVEL: z.enum(["debug", "info", "warn", "error"]).default("info"),
   CORS_ORIGIN: z.string().default("*"),
   REQUEST_TIMEOUT: z.coerce.number().default(30000),
+  // @if sqlite
+  DATABASE_URL: z.string().default("./data/app.sqlite"),
+  // @endif
+  // @if postgres || mongodb
+  DATABASE_URL: z.string().url("DATABASE_URL must be a connection URL"),
+  // @endif
   PAYMENT_PROVIDER: z.enum(["stripe", "lemonsqueezy"]).optional(),
+  PAYMENT_CURRENCY: z
+    .string()
+    .length(3, "PAYMENT_CURRENCY must be a 3-letter ISO 4217 code")
+    .toLowerCase()
+    .default("usd"),
   STRIPE_SECRET_KEY: z.string().optional(),
   STRIPE_WEBHOOK_SECRET: z.string().optional(),
   STRIPE_PUBLISHABLE_KEY: z.string().optional(),
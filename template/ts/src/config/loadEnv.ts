@@ -0,0 +1,7 @@
+import dotenv from "dotenv";
+
+// .env.<NODE_ENV> (e.g. .env.development) is read first and wins; .env fills
+// in anything it leaves out
+dotenv.config({
+  path: [`.env.${process.env.NODE_ENV || "development"}`, ".env"],
+});
@@ -1,11 +1,15 @@
+// @if auth
 import { registerSchema, loginSchema } from "../modules/auth/auth.schemas.ts";
+// @endif
 import { createItemSchema } from "../modules/health/controller.ts";
 
 const swaggerConfig = {
-  title: process.env.APP_NAME || "Charcole API",
-  version: process.env.APP_VERSION || "1.0.1",
+  title: process.env.APP_NAME || "{{projectName}}",
+  version: process.env.APP_VERSION || "{{appVersion}}",
   description: "Production-ready Node.js Express API",
-  path: "/api-docs",
+  path: "{{swaggerPath}}",
+  // "swagger-ui" or "redoc"
+  ui: "{{swaggerUi}}" as const,
   servers: [
     {
       url: process.env.APP_URL || "http://localhost:3000",
@@ -17,8 +21,10 @@ const swaggerConfig = {
   ],
   // NEW: Auto-register Zod schemas - no more manual duplication!
   schemas: {
+    // @if auth
     registerSchema,
     loginSchema,
+    // @endif
     createItemSchema,
   },
   // Common response templates are included by default
@@ -6,7 +6,7 @@ import { ValidationError } from "../utils/AppError.ts";
  * Request validation middleware
  *
  * Validates request body, query, and params against a Zod schema
- * Throws ValidationError if validation fails
+ * Passes a ValidationError to the error handler if validation fails
  *
  * Example:
  * const schema = z.object({
@@ -38,7 +38,7 @@ export const validateRequest = (schema: z.AnyZodObject) => {
           message: e.message,
           code: e.code,
         }));
-        throw new ValidationError("Request validation failed", errors);
+        return next(new ValidationError("Request validation failed", errors));
       }
       next(error);
     }
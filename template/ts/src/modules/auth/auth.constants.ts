@@ -1,4 +1,6 @@
-export const USER_ROLES = ["user", "admin"] as const;
+// Picked when the project was created — new users get the first role
+export const USER_ROLES = ["{{userRoles}}"] as const;
+export const DEFAULT_USER_ROLE = USER_ROLES[0];
 
 export const AUTH_PROVIDERS = ["credentials"] as const;
 
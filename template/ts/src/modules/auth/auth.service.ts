@@ -1,10 +1,13 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import type { SignOptions } from "jsonwebtoken";
 import { registerSchema, loginSchema } from "./auth.schemas.ts";
+import { DEFAULT_USER_ROLE } from "./auth.constants.ts";
 import type { z } from "zod";
 
 const SALT_ROUNDS = 10;
-const JWT_EXPIRES_IN = "7d";
+// Used when JWT_EXPIRES_IN isn't set in .env
+const JWT_EXPIRES_IN = "{{jwtExpiresIn}}";
 
 // Type definitions
 type RegisterInput = z.infer<typeof registerSchema>;
@@ -24,6 +27,7 @@ type UserRepo = {
     email: string;
     name: string;
     passwordHash: string;
+    role: string;
   }): Promise<User>;
 };
 
@@ -55,7 +59,8 @@ export const AuthService = {
     }
 
     return jwt.sign(payload, secret, {
-      expiresIn: JWT_EXPIRES_IN,
+      expiresIn: (process.env.JWT_EXPIRES_IN ||
+        JWT_EXPIRES_IN) as SignOptions["expiresIn"],
     });
   },
 
@@ -73,6 +78,7 @@ export const AuthService = {
       email: input.email,
       name: input.name,
       passwordHash,
+      role: DEFAULT_USER_ROLE,
     });
 
     return user;
@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import request from "supertest";
+import { app } from "../../../app.ts";
+
+describe("GET /api/health", () => {
+  it("reports the service as healthy", async () => {
+    const response = await request(app).get("/api/health");
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.status).toBe("healthy");
+  });
+});
+
+describe("POST /api/items", () => {
+  it("creates an item", async () => {
+    const response = await request(app)
+      .post("/api/items")
+      .send({ name: "My Item", description: "An example item" });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      name: "My Item",
+      description: "An example item",
+    });
+  });
+
+  it("rejects an item without a name", async () => {
+    const response = await request(app).post("/api/items").send({});
+
+    expect(response.status).toBe(422);
+    expect(response.body.success).toBe(false);
+  });
+});
+
+describe("unknown routes", () => {
+  it("respond with 404", async () => {
+    const response = await request(app).get("/api/does-not-exist");
+
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+});
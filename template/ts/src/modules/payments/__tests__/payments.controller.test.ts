@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, type Mock } from 'vitest'
 
 vi.mock('../payments.service.ts', () => ({
   createPayment: vi.fn(),
@@ -16,7 +16,10 @@ vi.mock('../../../utils/logger.ts', () => ({
 }))
 
 import * as controller from '../payments.controller.ts'
-import * as service from '../payments.service.ts'
+import * as paymentsService from '../payments.service.ts'
+
+// The fixtures only carry the fields each test checks
+const service = paymentsService as unknown as Record<keyof typeof paymentsService, Mock>
 
 function buildMocks(overrides: Record<string, unknown> = {}) {
   const req = {
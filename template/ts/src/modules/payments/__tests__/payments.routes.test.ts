@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach, type Mock } from 'vitest'
 import express from 'express'
 import request from 'supertest'
 
@@ -18,14 +18,17 @@ vi.mock('../../../../utils/logger.ts', () => ({
 }))
 
 import paymentsRouter from '../payments.routes.ts'
-import * as service from '../payments.service.ts'
+import * as paymentsService from '../payments.service.ts'
+
+// The fixtures only carry the fields each test checks
+const service = paymentsService as unknown as Record<keyof typeof paymentsService, Mock>
 
 function buildTestApp() {
   const app = express()
   app.use('/payments/webhook', express.raw({ type: 'application/json' }))
   app.use(express.json())
   app.use('/payments', paymentsRouter)
-  app.use((err, _req, res, _next) => {
+  app.use((err: any, _req: express.Request, res: express.Response, _next: express.NextFunction) => {
     res.status(err.statusCode ?? 500).json({ error: err.message, code: err.code })
   })
   return app
@@ -206,7 +209,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_001"}'))
+        .send('{"id":"evt_test_001"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
@@ -223,7 +226,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_002"}'))
+        .send('{"id":"evt_test_002"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
@@ -234,7 +237,7 @@ describe('payments.routes', () => {
       const response = await request(app)
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
-        .send(Buffer.from('{"id":"evt_test_003"}'))
+        .send('{"id":"evt_test_003"}')
 
       expect(response.status).toBe(400)
       expect(response.body.error).toBe('Missing webhook signature header')
@@ -247,7 +250,7 @@ describe('payments.routes', () => {
         .post('/payments/webhook')
         .set('Content-Type', 'application/json')
         .set('stripe-signature', 'stripe-sig')
-        .send(Buffer.from('{"id":"evt_test_004"}'))
+        .send('{"id":"evt_test_004"}')
 
       expect(response.status).toBe(200)
       expect(response.body.received).toBe(true)
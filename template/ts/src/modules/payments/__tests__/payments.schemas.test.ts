@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
 import { createPaymentSchema, refundPaymentSchema } from '../payments.schemas.ts'
+import { env } from '../../../config/env.ts'
 
 describe('createPaymentSchema', () => {
   it('parses valid input correctly', () => {
@@ -42,8 +43,10 @@ describe('createPaymentSchema', () => {
     expect(() => createPaymentSchema.parse({ currency: 'usd' })).toThrow(/amount is required/)
   })
 
-  it('rejects missing currency', () => {
-    expect(() => createPaymentSchema.parse({ amount: 100 })).toThrow(/currency is required/)
+  it('uses PAYMENT_CURRENCY when currency is missing', () => {
+    const result = createPaymentSchema.parse({ amount: 100 })
+
+    expect(result.currency).toBe(env.PAYMENT_CURRENCY)
   })
 
   it('accepts metadata as key-value string pairs', () => {
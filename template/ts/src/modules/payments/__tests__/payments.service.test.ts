@@ -1,13 +1,16 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, type Mock } from 'vitest'
 
 vi.mock('../payments.adapter.ts', () => ({
   getAdapter: vi.fn(),
   resetAdapter: vi.fn(),
 }))
 
-import { getAdapter } from '../payments.adapter.ts'
+import { getAdapter as realGetAdapter } from '../payments.adapter.ts'
 import * as service from '../payments.service.ts'
 
+// The fake adapters only have the methods each test calls
+const getAdapter = realGetAdapter as unknown as Mock
+
 beforeEach(() => {
   vi.clearAllMocks()
 })
@@ -1,3 +1,4 @@
+import { z } from "zod";
 import { Request, Response, NextFunction } from "express";
 import * as paymentsService from "./payments.service.ts";
 import { sendSuccess } from "../../utils/response.ts";
@@ -7,6 +8,25 @@ import {
 } from "./payments.schemas.ts";
 import { PAYMENT_EVENTS, WEBHOOK_HEADERS } from "./payments.constants.ts";
 import { logger } from "../../utils/logger.ts";
+import { BadRequestError } from "../../utils/AppError.ts";
+
+// An invalid body is the client's mistake: answer 400 with the Zod issues
+const parseBody = <T extends z.ZodTypeAny>(
+  schema: T,
+  body: unknown,
+): z.infer<T> => {
+  const result = schema.safeParse(body);
+  if (!result.success) {
+    const errors = result.error.errors.map((e) => ({
+      field: e.path.join("."),
+      message: e.message,
+    }));
+    throw new BadRequestError(errors.map((e) => e.message).join(", "), {
+      errors,
+    });
+  }
+  return result.data;
+};
 
 export const createPayment = async (
   req: Request,
@@ -14,7 +34,7 @@ export const createPayment = async (
   next: NextFunction,
 ): Promise<void> => {
   try {
-    const validated = createPaymentSchema.parse(req.body);
+    const validated = parseBody(createPaymentSchema, req.body);
     const result = await paymentsService.createPayment(validated);
     sendSuccess(res, result, 201);
   } catch (err) {
@@ -28,7 +48,7 @@ export const refundPayment = async (
   next: NextFunction,
 ): Promise<void> => {
   try {
-    const validated = refundPaymentSchema.parse(req.body);
+    const validated = parseBody(refundPaymentSchema, req.body);
     const result = await paymentsService.refundPayment(validated);
     sendSuccess(res, result);
   } catch (err) {
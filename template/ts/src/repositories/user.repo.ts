@@ -1,5 +1,20 @@
 import { randomUUID } from "crypto";
+// @if auth
 import type { User } from "../modules/auth/auth.schemas.ts";
+// @else
+
+type User = {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  provider: string;
+  passwordHash?: string;
+  isEmailVerified: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+};
+// @endif
 
 const users: User[] = [];
 
@@ -7,6 +22,7 @@ type CreateUserData = {
   email: string;
   name: string;
   passwordHash: string;
+  role: User["role"];
 };
 
 export const userRepo = {
@@ -20,7 +36,7 @@ export const userRepo = {
       email: data.email,
       name: data.name,
       passwordHash: data.passwordHash,
-      role: "user",
+      role: data.role,
       provider: "credentials",
       isEmailVerified: false,
       createdAt: new Date(),
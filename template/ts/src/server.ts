@@ -1,10 +1,21 @@
-import "dotenv/config";
+import "./config/loadEnv.ts";
 import { app } from "./app.ts";
 import { env } from "./config/env.ts";
 import { logger } from "./utils/logger.ts";
+// @if !memory
+import { connectDatabase, disconnectDatabase } from "./config/database.ts";
+// @endif
 
 const PORT = env.PORT;
 
+// @if !memory
+// Repositories wait for this connection; startup fails if the database is unreachable
+connectDatabase().catch((error) => {
+  logger.error("Database connection failed", { error: error.message });
+  process.exit(1);
+});
+
+// @endif
 const server = app.listen(PORT, () => {
   logger.info(`🔥 Server running in ${env.NODE_ENV} mode`, {
     url: `http://localhost:${PORT}`,
@@ -17,7 +28,11 @@ const gracefulShutdown = (signal: string): void => {
 
   server.close(() => {
     logger.info("HTTP server closed");
+    // @if !memory
+    disconnectDatabase().finally(() => process.exit(0));
+    // @else
     process.exit(0);
+    // @endif
   });
 };
 